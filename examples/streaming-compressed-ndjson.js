@@ -38,10 +38,9 @@ const server = http.createServer(function (req, res) {
 server.listen(function () {
   const port = server.address().port
 
-  const chopper = new StreamChopper({
+  const chopper = StreamChopper.ndjson({
     size: 512, // close request when 512 bytes data have been written,
     time: 10000, // or when it't been open for 10 seconds,
-    type: StreamChopper.overflow, // but don't chop ndjson lines up
     transform: function () { // compress the transmitted ndjson
       return zlib.createGzip({
         chunkSize: 512, // use small zlib buffer for demo purposes
@@ -72,25 +71,21 @@ server.listen(function () {
     })
   })
 
-  const serialize = ndjson.serialize()
-
-  // pipe the serialize stream into the chopper stream
-  pump(serialize, chopper, function (err) {
-    if (err) throw err
-    console.error('unexpected end of chopper')
+  chopper.on('error', function (err) {
+    throw err
   })
 
-  // start writing ndjson to the serialize stream
+  // start writing objects to the chopper stream
   write()
 
   function write () {
     // prepare dummy json object
     const obj = { time: new Date(), data: crypto.randomBytes(64).toString('hex') }
 
-    // write it to the serialize stream
-    if (serialize.write(obj) === false) {
+    // write it to the chopper stream, which serializes it as a line of json
+    if (chopper.write(obj) === false) {
       // backpressure detected, pause writing until the stream is ready
-      serialize.once('drain', next)
+      chopper.once('drain', next)
       return
     }
 
@@ -11,65 +11,361 @@ util.inherits(StreamChopper, Writable)
 StreamChopper.split = Symbol('split')
 StreamChopper.overflow = Symbol('overflow')
 StreamChopper.underflow = Symbol('underflow')
+StreamChopper.boundary = Symbol('boundary')
 
 const types = [
   StreamChopper.split,
   StreamChopper.overflow,
-  StreamChopper.underflow
+  StreamChopper.underflow,
+  StreamChopper.boundary
 ]
 
+const overloads = ['block', 'drop-newest', 'drop-oldest']
+
+StreamChopper.fileSink = require('./lib/file-sink')
+StreamChopper.httpSink = require('./lib/http-sink')
+StreamChopper.join = require('./lib/join')
+StreamChopper.partitioned = require('./lib/partitioned')
+StreamChopper.ndjson = require('./lib/ndjson')
+
+const Spool = require('./lib/spool')
+const createChecksum = require('./lib/checksum')
+
 function StreamChopper (opts) {
   if (!(this instanceof StreamChopper)) return new StreamChopper(opts)
   if (!opts) opts = {}
 
   Writable.call(this, opts)
 
+  const objectMode = this._writableState.objectMode
+
   this.size = opts.size || Infinity
+  this.maxItems = opts.maxItems || Infinity
   this.time = opts.time || -1
+  this.idle = opts.idle || -1
+  this._align = parseAlign(opts.align)
+  this._clock = opts.clock || Date.now
+  this.minSize = opts.minSize || 0
+  this.minTime = opts.minTime || 0
+  this.concurrency = opts.concurrency || 1
+  this.maxRetries = opts.maxRetries || 0
+  this.retryDelay = opts.retryDelay || 100
+  this._spool = opts.spool ? new Spool(opts.spool) : null
+  this.maxBuffered = (this._spool !== null ? this._spool.maxBytes : opts.maxBuffered) || Infinity
+  this._onOverload = opts.onOverload || 'block'
   this.type = types.indexOf(opts.type) === -1
-    ? StreamChopper.split
+    ? (objectMode ? StreamChopper.overflow : StreamChopper.split)
     : opts.type
+  this.delimiter = opts.delimiter || '\n'
+  this.strict = !!opts.strict
   this._transform = opts.transform
+  this._measure = opts.measure || (objectMode ? measureObject : measureLength)
+  this._header = opts.header
+  this._checksum = opts.checksum || null
+  this._footer = opts.footer
+  this._retryable = opts.retryable || retryable
+  this._retryBufferSize = opts.retryBufferSize || 0
 
-  if (this._transform && this.type === StreamChopper.split) {
-    throw new Error('stream-chopper cannot split a transform stream')
+  if (overloads.indexOf(this._onOverload) === -1) {
+    throw new Error(`stream-chopper cannot handle overload by ${this._onOverload}`)
+  }
+  if (this.strict && this.type !== StreamChopper.split) {
+    throw new Error('stream-chopper can only guarantee the size limit with type split')
+  }
+  if (this._checksum !== null && createChecksum.algorithms.indexOf(this._checksum) === -1) {
+    throw new Error(`stream-chopper does not support ${this._checksum} checksums`)
+  }
+  if (objectMode && this._checksum !== null) {
+    throw new Error('stream-chopper cannot checksum objects')
+  }
+  if (objectMode && this._spool !== null) {
+    throw new Error('stream-chopper cannot spool objects')
+  }
+  if (objectMode && (this.type === StreamChopper.split || this.type === StreamChopper.boundary)) {
+    throw new Error('stream-chopper cannot split objects')
   }
 
   this._bytes = 0
+  this._items = 0
+  this._footerSize = 0
+  this._unflushed = 0
+  this._seq = 0
   this._stream = null
+  this._info = null
+  this._replay = null
+  this._retryTimers = new Set()
+  this._idleTimer = null
+  this._minTimer = null
+  this._pendingReason = null
+  this._pendingCb = null
+  this._atBoundary = true
+  this._partial = null
+  this._finalizing = false
 
+  this._inflight = 0
+  this._releaseWaiters = []
+  this._lockedChops = []
   this._locked = false
+  this._lockedSince = -1
   this._draining = false
+  this._drainingSince = -1
+
+  this._queue = []
+  this._queueSize = 0
+  this._queueCb = null
+  this._dequeuing = false
+  this._ondequeued = null
+
+  // Data read from the spool is committed once `next` has been called for all
+  // output streams it might have been written to. `_spoolMarks` holds the
+  // position in the spool after each chunk read, along with the seq of the
+  // newest output stream at the time, and `_unreleased` the seqs of the output
+  // streams for which `next` haven't been called yet
+  this._spoolMarks = []
+  this._heldMark = null
+  this._unreleased = []
+
+  if (this._spool !== null) {
+    // anything left in the spool by a previous process is written before any
+    // new data
+    this._dequeuing = true
+    this._spool.open(err => {
+      if (this.destroyed) return
+      if (err) this.destroy(err)
+      else this._dequeue()
+    })
+  }
+
+  this._stats = {
+    bytesIn: 0,
+    bytesOut: 0,
+    streams: 0,
+    retries: 0,
+    delivered: 0,
+    chops: {},
+    splits: 0,
+    overflows: 0,
+    underflows: 0,
+    boundarySplits: 0,
+    dropped: 0,
+    lockedTime: 0,
+    drainingTime: 0
+  }
 
   this._onunlock = null
   this._next = noop
   this._oneos = oneos
+  this._onerror = onerror
   this._ondrain = ondrain
 
   const self = this
 
   function oneos () {
-    self._removeStream()
+    self._removeStream('destroyed-by-consumer')
+  }
+
+  function onerror () {
+    self._removeStream('error')
   }
 
   function ondrain () {
     self._draining = false
+    if (self._drainingSince !== -1) {
+      self._stats.drainingTime += Date.now() - self._drainingSince
+      self._drainingSince = -1
+    }
     const next = self._next
     self._next = noop
     next()
   }
 }
 
-StreamChopper.prototype.chop = function (cb) {
+StreamChopper.prototype.chop = function (opts, cb) {
+  if (typeof opts === 'function') return this.chop(null, opts)
+  if (!cb) return new Promise(resolve => this.chop(opts, resolve))
+  const force = !!(opts && opts.force)
+
   if (this.destroyed) {
     if (cb) process.nextTick(cb)
   } else if (this._onunlock === null) {
-    this._endStream(cb)
+    this._softEndStream('manual', force, cb)
   } else {
+    // if the chopper is destroyed before it's unlocked, `cb` is called by
+    // `_destroy` instead
     const write = this._onunlock
+    this._lockedChops.push(cb)
     this._onunlock = () => {
       write()
-      this._endStream(cb)
+      this._lockedChops.splice(this._lockedChops.indexOf(cb), 1)
+      this._softEndStream('manual', force, cb)
+    }
+  }
+}
+
+StreamChopper.prototype.flush = function (cb) {
+  if (!cb) {
+    return new Promise((resolve, reject) => {
+      this.flush(err => {
+        if (err) reject(err)
+        else resolve()
+      })
+    })
+  }
+  this.chop({ force: true }, () => {
+    this._waitForRelease(cb)
+  })
+}
+
+StreamChopper.prototype.close = function (opts) {
+  const timeout = (opts && opts.timeout) || 0
+
+  return new Promise((resolve, reject) => {
+    let timer = null
+
+    const done = err => {
+      if (timer !== null) clearTimeout(timer)
+      this.removeListener('finish', onfinish)
+      this.removeListener('error', done)
+      this.removeListener('close', onclose)
+      if (err) reject(err)
+      else resolve(this.stats())
+    }
+
+    const onfinish = () => {
+      this._waitForRelease(done)
+    }
+
+    const onclose = () => {
+      done(new Error('stream-chopper was destroyed before it could close'))
+    }
+
+    if (this.destroyed) return onclose()
+
+    if (timeout > 0) {
+      timer = setTimeout(() => {
+        timer = null
+        done(new Error(`stream-chopper could not close within ${timeout}ms`))
+        this.destroy()
+      }, timeout)
+    }
+
+    if (this._writableState.finished) {
+      onfinish()
+    } else {
+      this
+        .on('finish', onfinish)
+        .on('error', done)
+        .on('close', onclose)
+      if (!this._writableState.ending) this.end()
+    }
+  })
+}
+
+// All counters are cumulative since the chopper was created. The time spent
+// locked or draining is counted up until now if it's still ongoing.
+StreamChopper.prototype.stats = function () {
+  const now = Date.now()
+  const stats = Object.assign({}, this._stats)
+  stats.chops = Object.assign({}, this._stats.chops)
+  if (this._lockedSince !== -1) stats.lockedTime += now - this._lockedSince
+  if (this._drainingSince !== -1) stats.drainingTime += now - this._drainingSince
+  return stats
+}
+
+// Calls `cb` once `next` have been called for all output streams emitted so
+// far, or with an error if the chopper is destroyed before that
+StreamChopper.prototype._waitForRelease = function (cb) {
+  if (this._inflight === 0) process.nextTick(cb)
+  else if (this.destroyed) process.nextTick(cb, destroyedBeforeRelease())
+  else this._releaseWaiters.push(cb)
+}
+
+// Async iterators are only supported in Node.js 10 and above
+if (typeof Symbol.asyncIterator === 'symbol') {
+  // Iterate over the output streams using `for await...of`. Instead of calling
+  // `next`, the next output stream is emitted once the body of the loop has
+  // finished.
+  StreamChopper.prototype[Symbol.asyncIterator] = function () {
+    const queue = []
+    const waiting = []
+    let release = noop
+    let error = null
+    let ended = false
+
+    const onstream = (stream, next, info) => {
+      queue.push({ value: { stream, info }, next })
+      flush()
+    }
+
+    const onerror = err => {
+      error = err
+      flush()
+    }
+
+    const onend = () => {
+      ended = true
+      flush()
+    }
+
+    const cleanup = () => {
+      this.removeListener('stream', onstream)
+      this.removeListener('error', onerror)
+      this.removeListener('finish', onend)
+      this.removeListener('close', onend)
+    }
+
+    const flush = () => {
+      while (waiting.length > 0) {
+        if (queue.length > 0) {
+          const item = queue.shift()
+          release = item.next
+          waiting.shift().resolve({ value: item.value, done: false })
+        } else if (error !== null) {
+          const err = error
+          error = null
+          ended = true
+          cleanup()
+          waiting.shift().reject(err)
+        } else if (ended) {
+          cleanup()
+          waiting.shift().resolve({ value: undefined, done: true })
+        } else {
+          break
+        }
+      }
+    }
+
+    const releaseStream = () => {
+      const next = release
+      release = noop
+      next()
+    }
+
+    this
+      .on('stream', onstream)
+      .on('error', onerror)
+      .on('finish', onend)
+      .on('close', onend)
+
+    return {
+      next: () => {
+        releaseStream()
+        return new Promise((resolve, reject) => {
+          waiting.push({ resolve, reject })
+          flush()
+        })
+      },
+      // called if the loop is exited early using `break`, `return` or `throw`
+      return: () => {
+        releaseStream()
+        ended = true
+        cleanup()
+        this.destroy()
+        return Promise.resolve({ value: undefined, done: true })
+      },
+      [Symbol.asyncIterator] () {
+        return this
+      }
     }
   }
 }
@@ -78,44 +374,63 @@ StreamChopper.prototype._startStream = function (cb) {
   if (this.destroyed) return
   if (this._locked) {
     this._onunlock = cb
+    this._lockedSince = Date.now()
     return
   }
 
   this._bytes = 0
+  this._items = 0
+  this._unflushed = 0
+  this._atBoundary = true
 
-  if (this._transform) {
-    this._stream = this._transform().once('resume', () => {
-      // in case `_removeStream` have just been called
-      if (this._stream === null) return
-
-      // `resume` will be emitted before the first `data` event
-      this._stream.on('data', chunk => {
-        this._bytes += chunk.length
-        this._maybeEndTransformSteam()
-      })
-    })
-  } else {
-    this._stream = new PassThrough()
+  const info = this._info = {
+    seq: this._seq++,
+    attempt: 0,
+    created: this._clock(),
+    ended: null,
+    bytesIn: 0,
+    bytesOut: 0,
+    reason: null,
+    checksum: null
   }
 
-  this._stream
+  // keep a copy of the data written to the stream in case it has to be retried
+  const replay = this._replay = this.maxRetries > 0
+    ? { chunks: [], size: 0 }
+    : null
+
+  const stream = this._createStream(info)
+
+  // Only the output of a deflate stream can be kept within the size limit, so
+  // give up before any data is written to anything else
+  if (this.strict && this._transform && !isDeflate(stream)) {
+    destroyStream(stream, noop)
+    this.destroy(new Error('stream-chopper can only guarantee the size limit of zlib deflate streams'))
+    return
+  }
+
+  this._stream = stream
     .on('close', this._oneos)
-    .on('error', this._oneos)
+    .on('error', this._onerror)
     .on('finish', this._oneos)
     .on('end', this._oneos)
     .on('drain', this._ondrain)
 
-  this._locked = true
-  this.emit('stream', this._stream, err => {
-    this._locked = false
-    if (err) return this.destroy(err)
+  // The header and footer count towards the size of the stream. As the footer
+  // is written last, room for it is reserved up front.
+  const header = frame(this._header, info)
+  if (header !== null) {
+    if (!this._transform) this._bytes += this._measure(header)
+    this._streamWrite(header)
+  }
+  const footer = frame(this._footer, info)
+  this._footerSize = footer === null ? 0 : this._measure(footer)
 
-    const cb = this._onunlock
-    if (cb) {
-      this._onunlock = null
-      cb()
-    }
-  })
+  this._inflight++
+  this._locked = this._inflight >= this.concurrency
+  this._stats.streams++
+  if (this._spool !== null) this._unreleased.push(info.seq)
+  this.emit('stream', this._stream, this._createNext(info, replay), info)
 
   this.resetTimer()
 
@@ -125,16 +440,170 @@ StreamChopper.prototype._startStream = function (cb) {
   cb()
 }
 
+StreamChopper.prototype._createStream = function (info) {
+  const checksum = this._checksum === null ? null : createChecksum(this._checksum)
+
+  if (!this._transform) {
+    const stream = new PassThrough({ objectMode: this._writableState.objectMode })
+    if (checksum !== null) {
+      // hash the data as it passes through the stream
+      stream._transform = function (chunk, enc, cb) {
+        checksum.update(chunk)
+        cb(null, chunk)
+      }
+      reportChecksum(stream, info, checksum)
+    }
+    return stream
+  }
+
+  const stream = this._transform()
+  let counting = false
+
+  if (checksum !== null) reportChecksum(stream, info, checksum)
+
+  // Start counting when the stream starts flowing. A transform stream that
+  // transforms synchronously might emit its first `data` event before `resume`
+  // is emitted, so also start when the consumer adds a `data` listener
+  const count = () => {
+    if (counting) return
+    counting = true
+    stream.removeListener('newListener', onlistener)
+    stream.on('data', chunk => {
+      const bytes = byteLength(chunk)
+      info.bytesOut += bytes
+      this._stats.bytesOut += bytes
+      if (checksum !== null) checksum.update(chunk)
+
+      // in case `_removeStream` have been called, the transform stream might
+      // still be flushing data even though it's no longer the current stream
+      if (this._stream !== stream) return
+
+      this._bytes += this._measure(chunk)
+      this._maybeEndTransformSteam()
+    })
+  }
+  const onlistener = event => {
+    if (event === 'data') count()
+  }
+
+  return stream.on('newListener', onlistener).once('resume', count)
+}
+
+// Each output stream gets its own `next` function, which can be called in any
+// order. Calling it more than once has no effect.
+StreamChopper.prototype._createNext = function (info, replay) {
+  let released = false
+
+  return err => {
+    if (released) return
+    released = true
+
+    if (err && this._canRetry(err, info, replay)) {
+      // The consumer might give up on a stream before it has ended, e.g. if an
+      // HTTP request fails halfway through. If so, end it so that any data
+      // written from now on goes to a new stream instead, and the data to
+      // replay is complete.
+      if (info === this._info) this._endStream('error')
+      // the stream is still considered active until the retry is done
+      this.emit('retry', err, info)
+      this._retryStream(info, replay)
+      return
+    }
+
+    this._inflight--
+    this._locked = this._inflight >= this.concurrency
+    if (err) {
+      // the error is most likely caused by the chopper having been destroyed
+      if (!this.destroyed) this.destroy(err)
+      return
+    }
+
+    this._stats.delivered++
+    this._releaseSpooled(info.seq)
+
+    const cb = this._onunlock
+    if (cb && !this._locked) {
+      this._onunlock = null
+      this._stats.lockedTime += Date.now() - this._lockedSince
+      this._lockedSince = -1
+      cb()
+    }
+
+    if (this._inflight === 0 && this._releaseWaiters.length > 0) {
+      const waiters = this._releaseWaiters
+      this._releaseWaiters = []
+      waiters.forEach(waiter => waiter())
+    }
+  }
+}
+
+StreamChopper.prototype._canRetry = function (err, info, replay) {
+  return !this.destroyed &&
+    replay !== null &&
+    replay.chunks !== null &&
+    info.attempt < this.maxRetries &&
+    this._retryable(err) === true
+}
+
+// Emit a new output stream containing the same data as the failed one. The
+// delay before retrying is doubled for each attempt.
+StreamChopper.prototype._retryStream = function (info, replay) {
+  const timer = setTimeout(() => {
+    this._retryTimers.delete(timer)
+
+    const retryInfo = {
+      seq: info.seq,
+      attempt: info.attempt + 1,
+      created: this._clock(),
+      ended: null,
+      bytesIn: 0,
+      bytesOut: 0,
+      reason: info.reason,
+      checksum: null
+    }
+
+    // errors are reported by the consumer by calling `next` with the error
+    const stream = this._createStream(retryInfo).on('error', noop)
+
+    this._stats.streams++
+    this._stats.retries++
+    this.emit('stream', stream, this._createNext(retryInfo, replay), retryInfo)
+
+    replay.chunks.forEach(chunk => {
+      // flush at the same points as the original stream so the output stays
+      // within the size limit
+      if (chunk === FLUSH) {
+        stream.flush(getFlushFlag(stream))
+        return
+      }
+      // the stats count the data written to retries like any other data
+      const bytes = byteLength(chunk)
+      retryInfo.bytesIn += bytes
+      this._stats.bytesIn += bytes
+      if (!this._transform) {
+        retryInfo.bytesOut += bytes
+        this._stats.bytesOut += bytes
+      }
+      stream.write(chunk)
+    })
+    stream.end()
+    retryInfo.ended = this._clock()
+  }, this.retryDelay * Math.pow(2, info.attempt))
+
+  this._retryTimers.add(timer)
+}
+
 StreamChopper.prototype._maybeEndTransformSteam = function () {
   if (this._stream === null) return
 
   // in case of backpresure on the transform stream, count how many bytes are
   // buffered
-  const bufferedSize = getBufferedSize(this._stream)
+  const bufferedSize = getBufferedSize(this._stream, this._measure)
 
-  const overflow = (this._bytes + bufferedSize) - this.size
+  const overflow = (this._bytes + bufferedSize + this._footerSize) - this.size
 
-  if (overflow >= 0) this._endStream()
+  if (overflow >= 0) this._endStream('size')
+  else this._maybeEndPending()
 }
 
 StreamChopper.prototype.resetTimer = function (time) {
@@ -143,54 +612,366 @@ StreamChopper.prototype.resetTimer = function (time) {
     clearTimeout(this._timer)
     this._timer = null
   }
-  if (this.time !== -1 && !this.destroyed && this._stream) {
-    this._timer = setTimeout(() => {
-      this._timer = null
-      this._endStream()
-    }, this.time)
-    this._timer.unref()
+  if (this.destroyed || !this._stream) return
+
+  // If aligned, end the stream on the next wall-clock boundary, unless the
+  // time limit is reached first
+  const now = this._clock()
+  let delay = this.time
+  let boundary = -1
+  if (this._align !== -1) {
+    boundary = now - now % this._align + this._align
+    if (delay === -1 || boundary - now <= delay) delay = boundary - now
+    else boundary = -1
   }
+
+  if (delay !== -1) this._startTimer(delay, boundary)
 }
 
-StreamChopper.prototype._endStream = function (cb) {
+StreamChopper.prototype._startTimer = function (delay, boundary) {
+  this._timer = setTimeout(() => {
+    this._timer = null
+    // timers might fire a little early, so start over if the boundary hasn't
+    // yet been reached
+    const left = boundary === -1 ? 0 : boundary - this._clock()
+    if (left > 0) this._startTimer(left, boundary)
+    else this._softEndStream('time')
+  }, delay)
+  this._timer.unref()
+}
+
+StreamChopper.prototype._resetIdleTimer = function () {
+  if (this._idleTimer !== null) {
+    clearTimeout(this._idleTimer)
+    this._idleTimer = null
+  }
+  if (this.idle !== -1 && !this.destroyed && this._stream) {
+    this._idleTimer = setTimeout(() => {
+      this._idleTimer = null
+      this._softEndStream('idle')
+    }, this.idle)
+    this._idleTimer.unref()
+  }
+}
+
+// Returns true if the current stream has reached either `minSize` or `minTime`
+StreamChopper.prototype._isRipe = function () {
+  if (this.minSize <= 0 && this.minTime <= 0) return true
+  return (this.minSize > 0 && this._bytes >= this.minSize) ||
+    (this.minTime > 0 && this._clock() - this._info.created >= this.minTime)
+}
+
+// Ends the current stream, unless it's too small or too young. In that case
+// ending it is postponed until it's ripe, or until it's ended for another
+// reason
+StreamChopper.prototype._softEndStream = function (reason, force, cb) {
+  if (force || this._stream === null || this._isRipe()) {
+    this._endStream(reason, cb)
+    return
+  }
+
+  if (this._pendingReason === null) this._pendingReason = reason
+  if (cb) {
+    const pendingCb = this._pendingCb
+    this._pendingCb = pendingCb === null ? cb : () => {
+      pendingCb()
+      cb()
+    }
+  }
+
+  if (this._minTimer === null) this._startMinTimer()
+}
+
+StreamChopper.prototype._startMinTimer = function () {
+  if (this.minTime <= 0) return
+  const age = this._clock() - this._info.created
+  this._minTimer = setTimeout(() => {
+    this._minTimer = null
+    // timers might fire a little early, so start over if it's not yet ripe
+    if (this._isRipe()) this._maybeEndPending()
+    else this._startMinTimer()
+  }, Math.max(this.minTime - age, 1))
+  this._minTimer.unref()
+}
+
+StreamChopper.prototype._maybeEndPending = function () {
+  if (this._pendingReason !== null && this._isRipe()) {
+    this._endStream(this._pendingReason)
+  }
+}
+
+StreamChopper.prototype._endStream = function (reason, cb) {
   if (this.destroyed) return
+
+  // any postponed chop is fulfilled by ending the stream now
+  const pendingCb = this._pendingCb
+  if (pendingCb !== null) {
+    this._pendingCb = null
+    cb = cb ? () => {
+      pendingCb()
+      cb()
+    } : pendingCb
+  }
+
   if (this._stream === null) {
     if (cb) process.nextTick(cb)
     return
   }
 
   const stream = this._stream
+  const ended = stream._writableState.ending || stream._writableState.finished
+
+  if (!ended && !isDestroyed(stream)) this._writeFooter()
 
   // ensure all timers and event listeners related to the current stream is removed
-  this._removeStream()
+  this._removeStream(reason)
 
   // if stream hasn't yet ended, make sure to end it properly
-  if (!stream._writableState.ending && !stream._writableState.finished) {
+  if (!ended) {
     stream.end(cb)
   } else if (cb) {
     process.nextTick(cb)
   }
 }
 
-StreamChopper.prototype._removeStream = function () {
+StreamChopper.prototype._removeStream = function (reason) {
   if (this._stream === null) return
 
   const stream = this._stream
   this._stream = null
 
+  this._info.ended = this._clock()
+  this._info.reason = reason
+  this._stats.chops[reason] = (this._stats.chops[reason] || 0) + 1
+
   if (this._timer !== null) clearTimeout(this._timer)
+  if (this._idleTimer !== null) {
+    clearTimeout(this._idleTimer)
+    this._idleTimer = null
+  }
+  if (this._minTimer !== null) {
+    clearTimeout(this._minTimer)
+    this._minTimer = null
+  }
+  this._pendingReason = null
+  if (this._pendingCb !== null) {
+    process.nextTick(this._pendingCb)
+    this._pendingCb = null
+  }
   if (stream._writableState.needDrain) this._ondrain()
-  stream.removeListener('error', this._oneos)
+  stream.removeListener('error', this._onerror)
   stream.removeListener('close', this._oneos)
   stream.removeListener('finish', this._oneos)
   stream.removeListener('end', this._oneos)
   stream.removeListener('drain', this._ondrain)
+
+  this.emit('chop', stream, this._info, reason)
 }
 
 StreamChopper.prototype._write = function (chunk, enc, cb) {
+  const queueing = this.maxBuffered !== Infinity || this._spool !== null
+
+  // Once data is queued, everything written has to go through the queue to
+  // keep it in order
+  if (queueing && (this._dequeuing || (this._stream === null && this._locked))) {
+    this._enqueue(chunk, enc, cb)
+  } else if (this._spool !== null) {
+    this._spoolWrite(chunk, enc, cb)
+  } else {
+    this._writeChunk(chunk, enc, cb)
+  }
+}
+
+// When spooling, a write that's held back (e.g. because of backpressure) is
+// reported as done right away, so the writes that follow are spooled instead
+// of being buffered in memory until it's done
+StreamChopper.prototype._spoolWrite = function (chunk, enc, cb) {
+  let done = false
+  let held = false
+
+  this._writeChunk(chunk, enc, err => {
+    done = true
+    if (!held) cb(err)
+    else if (err) this.destroy(err)
+    else this._dequeue()
+  })
+
+  if (!done) {
+    held = true
+    this._dequeuing = true
+    cb()
+  }
+}
+
+// While the chopper is locked, written data is queued up to `maxBuffered`
+// bytes, either in memory or in the spool. The write callback is called right
+// away so the producer can keep on writing. If there's no more room, what
+// happens depends on `onOverload`
+StreamChopper.prototype._enqueue = function (chunk, enc, cb) {
+  const size = this._writableState.objectMode ? 1 : byteLength(chunk)
+  const overload = this._queuedSize() + size > this.maxBuffered
+
+  if (!this._dequeuing) {
+    this._dequeuing = true
+    this._dequeue()
+  }
+
+  if (overload && this._onOverload === 'drop-newest') {
+    this._drop(size)
+    cb()
+    return
+  }
+
+  // hold on to the callback until there's room in the queue again
+  if (overload && this._onOverload === 'block') this._queueCb = cb
+
+  this._push(chunk, enc, size, err => {
+    if (this.destroyed) return
+    if (err) this.destroy(err)
+    else if (!overload) cb()
+    else if (this._onOverload === 'drop-oldest') this._dropOldest(cb)
+  })
+}
+
+StreamChopper.prototype._queuedSize = function () {
+  return this._spool === null ? this._queueSize : this._spool.size
+}
+
+StreamChopper.prototype._push = function (chunk, enc, size, cb) {
+  if (this._spool !== null) {
+    this._spool.push(typeof chunk === 'string' ? Buffer.from(chunk, enc) : chunk, cb)
+    return
+  }
+  this._queue.push({ chunk, enc, size })
+  this._queueSize += size
+  cb()
+}
+
+StreamChopper.prototype._dropOldest = function (cb) {
+  if (this._spool !== null) {
+    this._spool.drop(this.maxBuffered, (err, dropped) => {
+      if (this.destroyed) return
+      if (err) return this.destroy(err)
+      this._drop(dropped)
+      cb()
+    })
+    return
+  }
+
+  let dropped = 0
+  while (this._queueSize > this.maxBuffered) {
+    const entry = this._queue.shift()
+    this._queueSize -= entry.size
+    dropped += entry.size
+  }
+  this._drop(dropped)
+  cb()
+}
+
+// Write the queued data to the output streams one chunk at a time
+StreamChopper.prototype._dequeue = function () {
+  // leave the data in the queue until it can be written
+  if (this._stream === null && this._locked) {
+    this._startStream(() => {
+      this._dequeue()
+    })
+    return
+  }
+
+  if (this._spool !== null) {
+    this._spool.shift((err, chunk, mark) => {
+      if (this.destroyed) return
+      if (err) this.destroy(err)
+      else this._writeQueued(chunk, 'buffer', mark)
+    })
+    return
+  }
+
+  const entry = this._queue.shift()
+  if (entry === undefined) {
+    this._writeQueued(null)
+  } else {
+    this._queueSize -= entry.size
+    this._writeQueued(entry.chunk, entry.enc)
+  }
+}
+
+StreamChopper.prototype._writeQueued = function (chunk, enc, mark) {
+  if (chunk === null) {
+    // the records dropped from the spool since the last chunk read, if any,
+    // can be committed along with it
+    if (mark) this._markSpooled(mark)
+    // more data might have been spooled while reading from the spool
+    if (this._spool !== null && this._spool.length > 0) {
+      this._dequeue()
+      return
+    }
+    this._dequeuing = false
+    const cb = this._ondequeued
+    if (cb !== null) {
+      this._ondequeued = null
+      cb()
+    }
+    return
+  }
+
+  if (this._queueCb !== null && this._queuedSize() <= this.maxBuffered) {
+    const cb = this._queueCb
+    this._queueCb = null
+    cb()
+  }
+
+  this._writeChunk(chunk, enc, err => {
+    // the callback of the original write have already been called
+    if (err) return this.destroy(err)
+    if (mark) this._markSpooled(mark)
+    this._dequeue()
+  })
+}
+
+// Records that the data read from the spool up to `mark` have been written
+// to an output stream, unless the end of it is still held back
+StreamChopper.prototype._markSpooled = function (mark) {
+  if (this._partial !== null) {
+    this._heldMark = mark
+    return
+  }
+  this._heldMark = null
+  this._spoolMarks.push({ seq: this._seq - 1, mark })
+  this._commitSpooled()
+}
+
+StreamChopper.prototype._releaseSpooled = function (seq) {
+  const index = this._unreleased.indexOf(seq)
+  if (index === -1) return
+  this._unreleased.splice(index, 1)
+  this._commitSpooled()
+}
+
+// Commits the data read from the spool that's in output streams for which
+// `next` have been called, so it's not written again after a crash
+StreamChopper.prototype._commitSpooled = function () {
+  if (this._spool === null) return
+  const oldest = this._unreleased.length > 0 ? this._unreleased[0] : this._seq
+  let mark = null
+  while (this._spoolMarks.length > 0 && this._spoolMarks[0].seq < oldest) {
+    mark = this._spoolMarks.shift().mark
+  }
+  if (mark === null) return
+  this._spool.commit(mark, err => {
+    if (err && !this.destroyed) this.destroy(err)
+  })
+}
+
+StreamChopper.prototype._drop = function (size) {
+  this._stats.dropped += size
+  this.emit('dropped', size)
+}
+
+StreamChopper.prototype._writeChunk = function (chunk, enc, cb) {
   if (this._stream === null) {
     this._startStream(() => {
-      this._write(chunk, enc, cb)
+      this._writeChunk(chunk, enc, cb)
     })
     return
   }
@@ -199,85 +980,523 @@ StreamChopper.prototype._write = function (chunk, enc, cb) {
   // a user destroys the stream. If it wasn't here, we'd accidentally write to
   // the stream and it would emit an error
   if (isDestroyed(this._stream)) {
+    this._removeStream('destroyed-by-consumer')
     this._startStream(() => {
-      this._write(chunk, enc, cb)
+      this._writeChunk(chunk, enc, cb)
     })
     return
   }
 
+  this._resetIdleTimer()
+
   if (this._transform) {
     // The size of a transform stream is counted post-transform and so the size
     // guard is located elsewhere. We can therefore just write to the stream
-    // without any checks.
-    this._unprotectedWrite(chunk, enc, cb)
+    // without any size checks, unless the chunk might have to be split.
+    this._items++
+    if (this.type === StreamChopper.split && chunk.length > this._available()) {
+      this._transformSplitWrite(chunk, enc, cb, this._items === 1)
+    } else if (this._items < this.maxItems) {
+      this._unprotectedWrite(chunk, enc, cb)
+    } else {
+      this._streamEnd(chunk)
+      this._endStream('size', cb)
+    }
   } else {
     this._protectedWrite(chunk, enc, cb)
   }
 }
 
+// Returns the number of bytes left in the current transform stream, taking
+// into account output not yet received from the transform stream. In strict
+// mode, it's the number of bytes that can be written without any risk of the
+// output exceeding the size limit, based on the worst case expansion of data
+// not yet flushed through the zlib stream.
+StreamChopper.prototype._available = function () {
+  const stream = this._stream
+  if (!this.strict) {
+    const bufferedSize = getBufferedSize(stream, this._measure)
+    // zlib streams hold on to their output until flushed, so data written
+    // since the last flush is counted as if it wasn't shrunk by the transform
+    const pending = typeof stream.flush === 'function'
+      ? Math.max(this._unflushed, bufferedSize)
+      : bufferedSize
+    return this.size - this._bytes - pending - this._footerSize
+  }
+  const room = this.size - this._bytes - getReadableLength(stream) - DEFLATE_END_BOUND
+  return maxDeflateInput(room) - this._unflushed - this._footerSize
+}
+
+// As the size of a transform stream is counted post-transform, it's not known
+// up front how much of `chunk` will fit. So write as much as there's room for
+// if the chunk wasn't shrunk by the transform, and flush the transform stream
+// to see how much room is left. This is repeated until either the entire
+// chunk is written or the stream fills up and is ended, in which case the rest
+// of the chunk is written to the next stream. Since the transform stream is
+// always ended properly, each output stream is valid on its own (e.g. a
+// complete gzip member).
+StreamChopper.prototype._transformSplitWrite = function (chunk, enc, cb, empty) {
+  const stream = this._stream
+
+  const available = this._available()
+
+  if (chunk.length <= available) {
+    if (this._items < this.maxItems) {
+      this._unprotectedWrite(chunk, enc, cb)
+    } else {
+      this._streamEnd(chunk)
+      this._endStream('size', cb)
+    }
+    return
+  }
+
+  if (this._unflushed > 0 && typeof stream.flush === 'function') {
+    // only the worst case size of the unflushed data is known, so flush it to
+    // see how much room is actually left
+    this._flushTransform(stream, null, () => {
+      if (this._stream === stream) this._transformSplitWrite(chunk, enc, cb, empty)
+      else this._writeChunk(chunk, enc, cb)
+    })
+    return
+  }
+
+  if (available <= 0 && !empty) {
+    this._endStream('size', () => {
+      this._writeChunk(chunk, enc, cb)
+    })
+    return
+  }
+
+  if (available <= 0 && this.strict) {
+    cb(new Error(`Cannot write ${chunk.length} byte chunk - size limit too small to guarantee`))
+    return
+  }
+
+  // make sure we can't get stuck in an endless loop if not even a single byte
+  // fits into an empty stream
+  const slice = chunk.slice(0, Math.max(available, 1))
+  chunk = chunk.slice(slice.length)
+
+  this._flushTransform(stream, slice, () => {
+    if (chunk.length === 0) {
+      if (this._stream !== stream || this._items < this.maxItems) cb()
+      else this._endStream('size', cb)
+    } else if (this._stream !== stream) {
+      // the stream filled up and was ended while flushing
+      this._stats.splits++
+      this._writeChunk(chunk, enc, cb)
+    } else if (this._available() <= 0) {
+      this._stats.splits++
+      this._endStream('size', () => {
+        this._writeChunk(chunk, enc, cb)
+      })
+    } else {
+      this._transformSplitWrite(chunk, enc, cb, false)
+    }
+  })
+}
+
+// Write `chunk` (if any) to the transform stream and wait for it to output
+// everything written to it so far
+StreamChopper.prototype._flushTransform = function (stream, chunk, cb) {
+  const done = () => {
+    if (this.destroyed) return
+    if (this._stream === stream) this._unflushed = 0
+    cb()
+  }
+
+  if (typeof stream.flush === 'function') {
+    // zlib streams hold on to their output until flushed
+    if (chunk !== null) this._streamWrite(chunk)
+    const replay = this._replay
+    if (replay !== null && replay.chunks !== null) replay.chunks.push(FLUSH)
+    stream.flush(getFlushFlag(stream), done)
+  } else {
+    this._streamWrite(chunk, done)
+  }
+}
+
 StreamChopper.prototype._protectedWrite = function (chunk, enc, cb) {
-  this._bytes += chunk.length
+  if (this.type === StreamChopper.boundary && this._atBoundary) {
+    this._recordWrite(chunk, enc, cb)
+  } else {
+    this._limitedWrite(chunk, enc, cb)
+  }
+}
+
+// Holds back a record at the end of `chunk` that isn't complete until the
+// rest of it is written. Until then it's not known if the record will fit
+// into the current stream, and once part of it is written, the stream can't
+// be cut before it. Records larger than `size` can't fit into any stream, so
+// they're written right away and allowed to overflow.
+StreamChopper.prototype._recordWrite = function (chunk, enc, cb) {
+  if (this._partial !== null) {
+    chunk = Buffer.concat([this._partial, toBuffer(chunk, enc)])
+    this._partial = null
+  }
+
+  const delimiter = this.delimiter
+  const end = chunk.lastIndexOf(delimiter)
+  const cut = end === -1 ? 0 : end + delimiter.length
+  const partial = chunk.slice(cut)
 
-  const overflow = this._bytes - this.size
+  if (partial.length === 0 || this._finalizing || this._measure(partial) > this.size) {
+    this._limitedWrite(chunk, enc, cb)
+  } else if (cut === 0) {
+    this._partial = toBuffer(partial, enc)
+    cb()
+  } else {
+    this._limitedWrite(chunk.slice(0, cut), enc, err => {
+      if (!err) this._partial = toBuffer(partial, enc)
+      cb(err)
+    })
+  }
+}
+
+StreamChopper.prototype._limitedWrite = function (chunk, enc, cb) {
+  const size = this._measure(chunk)
+  this._bytes += size
+  this._items++
+
+  const overflow = this._bytes + this._footerSize - this.size
+
+  if (this.type === StreamChopper.boundary) {
+    if (overflow >= 0) {
+      this._boundaryWrite(chunk, enc, cb, this._fit(chunk, size - overflow))
+      return
+    }
+    this._atBoundary = endsWith(chunk, this.delimiter)
+  }
 
   if (overflow > 0 && this.type !== StreamChopper.overflow) {
     if (this.type === StreamChopper.split) {
-      const remaining = chunk.length - overflow
-      this._stream.write(chunk.slice(0, remaining))
+      this._stats.splits++
+      let remaining = this._fit(chunk, size - overflow)
+      // make sure we can't get stuck in an endless loop if not even a single
+      // byte fits into an empty stream
+      if (remaining <= 0 && this._items === 1) remaining = 1
+      this._streamWrite(chunk.slice(0, remaining))
       chunk = chunk.slice(remaining)
     }
 
-    if (this.type === StreamChopper.underflow && this._bytes - chunk.length === 0) {
-      cb(new Error(`Cannot write ${chunk.length} byte chunk - only ${this.size} available`))
+    if (this.type === StreamChopper.underflow) this._stats.underflows++
+    if (this.type === StreamChopper.underflow && this._items === 1) {
+      cb(new Error(`Cannot write ${size} byte chunk - only ${size - overflow} available`))
       return
     }
 
-    this._endStream(() => {
-      this._write(chunk, enc, cb)
+    this._endStream('size', () => {
+      this._writeChunk(chunk, enc, cb)
     })
     return
   }
 
-  if (overflow < 0) {
+  if (overflow < 0 && this._items < this.maxItems) {
     this._unprotectedWrite(chunk, enc, cb)
   } else {
-    // if we reached the size limit, just end the stream already
-    this._stream.end(chunk)
-    this._endStream(cb)
+    // if we reached the size or item limit, just end the stream already
+    if (overflow > 0) this._stats.overflows++
+    this._streamEnd(chunk)
+    this._endStream('size', cb)
+  }
+}
+
+// Returns the number of bytes from the beginning of `chunk` that can fit into
+// `available` units of size. Unless the default measure function is used, the
+// measure function is asked where to cut using a binary search.
+StreamChopper.prototype._fit = function (chunk, available) {
+  if (this._measure === measureLength) return available
+
+  let low = 0
+  let high = chunk.length
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2)
+    if (this._measure(chunk.slice(0, mid)) <= available) low = mid
+    else high = mid - 1
+  }
+  return low
+}
+
+// Called when `chunk` will fill up the current output stream. Only `available`
+// bytes of the chunk fit within the size limit, so find a cut point that
+// doesn't leave a record split between two output streams.
+StreamChopper.prototype._boundaryWrite = function (chunk, enc, cb, available) {
+  const delimiter = this.delimiter
+  const empty = this._items === 1
+  let end = available >= delimiter.length
+    ? chunk.lastIndexOf(delimiter, available - delimiter.length)
+    : -1
+
+  if (end !== -1) {
+    // cut after the last whole record that fits within the size limit
+    end += delimiter.length
+  } else if (!empty && this._atBoundary) {
+    // no record fits, so end the current stream and write the entire chunk to
+    // the next one (like underflow)
+    this._endStream('size', () => {
+      this._writeChunk(chunk, enc, cb)
+    })
+    return
+  } else {
+    // The current record doesn't fit within the size limit no matter what, so
+    // allow it to overflow, but cut right after it
+    end = chunk.indexOf(delimiter)
+    if (end === -1) {
+      // the end of the record isn't part of this chunk, so keep the stream
+      // open until it arrives
+      this._atBoundary = false
+      this._unprotectedWrite(chunk, enc, cb)
+      return
+    }
+    end += delimiter.length
+  }
+
+  if (end === chunk.length) {
+    this._streamEnd(chunk)
+    this._endStream('size', cb)
+  } else {
+    this._stats.boundarySplits++
+    this._streamWrite(chunk.slice(0, end))
+    chunk = chunk.slice(end)
+    this._endStream('size', () => {
+      this._writeChunk(chunk, enc, cb)
+    })
   }
 }
 
 StreamChopper.prototype._unprotectedWrite = function (chunk, enc, cb) {
-  if (this._stream.write(chunk) === false) this._draining = true
+  if (this._streamWrite(chunk) === false && this._draining === false) {
+    this._draining = true
+    this._drainingSince = Date.now()
+  }
+  this._maybeEndPending()
   if (this._draining === false) cb()
   else this._next = cb
 }
 
+// Write `chunk` to the current output stream while keeping count of the bytes
+StreamChopper.prototype._streamWrite = function (chunk, cb) {
+  this._countBytes(chunk)
+  return this._stream.write(chunk, cb)
+}
+
+StreamChopper.prototype._streamEnd = function (chunk) {
+  this._streamWrite(chunk)
+  this._writeFooter()
+  this._stream.end()
+}
+
+StreamChopper.prototype._writeFooter = function () {
+  const footer = frame(this._footer, this._info)
+  if (footer !== null) this._streamWrite(footer)
+}
+
+StreamChopper.prototype._countBytes = function (chunk) {
+  const bytes = byteLength(chunk)
+  this._info.bytesIn += bytes
+  this._stats.bytesIn += bytes
+  this._unflushed += bytes
+  // the bytes going out of a transform stream are counted when it emits data
+  if (!this._transform) {
+    this._info.bytesOut += bytes
+    this._stats.bytesOut += bytes
+  }
+
+  const replay = this._replay
+  if (replay !== null && replay.chunks !== null) {
+    replay.chunks.push(chunk)
+    replay.size += this._measure(chunk)
+    // give up on being able to retry the stream if it grows too big
+    if (replay.size > this._retryLimit()) {
+      replay.chunks = null
+      this.emit('unretryable', this._info)
+    }
+  }
+}
+
+// Without a size limit, the data kept for retries is still capped so it can't
+// grow without bounds
+StreamChopper.prototype._retryLimit = function () {
+  if (this._retryBufferSize > 0) return this._retryBufferSize
+  if (this.size === Infinity) return RETRY_BUFFER_SIZE
+  // With a transform, `size` limits the output of the transform stream, which
+  // might be a lot smaller than the data kept for retries, e.g. if it
+  // compresses the data
+  return this._transform ? Math.max(this.size, RETRY_BUFFER_SIZE) : this.size
+}
+
 StreamChopper.prototype._destroy = function (err, cb) {
   const stream = this._stream
-  this._removeStream()
+  const chops = this._lockedChops
+  const waiters = this._releaseWaiters
+
+  this._retryTimers.forEach(clearTimeout)
+  this._retryTimers.clear()
+  this._queue = []
+  this._queueSize = 0
+  this._partial = null
+  this._lockedChops = []
+  this._releaseWaiters = []
+  this._spoolMarks = []
+  this._heldMark = null
+  this._unreleased = []
+  if (this._spool !== null) {
+    // data left in the spool is kept so it can be recovered
+    this._spool.close()
+    this._spool = null
+  }
+  this._removeStream(err ? 'error' : 'destroyed')
+
+  // Settle anything waiting for the chopper only after `cb` is called, so that
+  // any error is emitted first
+  const done = () => {
+    cb(err)
+    chops.forEach(chopCb => process.nextTick(chopCb))
+    waiters.forEach(waiter => process.nextTick(waiter, err || destroyedBeforeRelease()))
+  }
 
   if (stream !== null) {
-    if (stream.destroyed === true) return cb(err)
-    destroyStream(stream, function () {
-      cb(err)
-    })
+    if (stream.destroyed === true) return done()
+    destroyStream(stream, done)
   } else {
-    cb(err)
+    done()
   }
 }
 
 StreamChopper.prototype._final = function (cb) {
+  if (this._dequeuing) {
+    this._ondequeued = () => {
+      this._final(cb)
+    }
+    return
+  }
+  if (this._partial !== null) {
+    // the last record doesn't have to end with a delimiter
+    const partial = this._partial
+    this._partial = null
+    this._finalizing = true
+    this._writeChunk(partial, 'buffer', err => {
+      if (err) return cb(err)
+      if (this._heldMark !== null) this._markSpooled(this._heldMark)
+      this._final(cb)
+    })
+    return
+  }
+  if (this._spool !== null) {
+    // the spool is removed once everything read from it have been committed,
+    // so wait for `next` to be called for the remaining output streams first
+    this._endStream('final', () => {
+      this._waitForRelease(err => {
+        if (err) return cb(err)
+        const spool = this._spool
+        this._spool = null
+        spool.close(cb)
+      })
+    })
+    return
+  }
   if (this._stream === null) return cb()
-  this._stream.end(cb)
+  this._endStream('final', cb)
 }
 
+// The default `retryBufferSize` if no `size` is given, and the minimum one if
+// a `transform` is used
+const RETRY_BUFFER_SIZE = 1024 * 1024
+
+// Marks where a transform stream was flushed in the data kept for retries
+const FLUSH = Symbol('flush')
+
+// The worst case number of bytes added by a zlib deflate stream when ending it:
+// The gzip header and trailer (18 bytes) and the final block
+const DEFLATE_END_BOUND = 24
+
 function noop () {}
 
-function getBufferedSize (stream) {
+function destroyedBeforeRelease () {
+  return new Error('stream-chopper was destroyed before next was called for all output streams')
+}
+
+function retryable () {
+  return true
+}
+
+// Converts the `align` option to a number of milliseconds, or -1 if not aligned
+function parseAlign (align) {
+  if (align === undefined || align === null) return -1
+  if (align === 'minute') return 60 * 1000
+  if (align === 'hour') return 60 * 60 * 1000
+  if (typeof align === 'number' && align > 0) return align
+  throw new Error(`stream-chopper cannot align to ${align}`)
+}
+
+// The checksum is ready once all data has been emitted by the output stream
+function reportChecksum (stream, info, checksum) {
+  stream.once('end', function () {
+    info.checksum = checksum.digest('hex')
+  })
+}
+
+// Returns the header or footer for the given stream, or null if there is none
+function frame (value, info) {
+  if (typeof value === 'function') value = value(info)
+  return value === undefined || value === null ? null : value
+}
+
+// A sync flush makes a zlib stream output all data written to it so far
+// without resetting the compression state
+function getFlushFlag (stream) {
+  const constants = zlib.constants || zlib
+  return zlib.BrotliCompress && stream instanceof zlib.BrotliCompress
+    ? constants.BROTLI_OPERATION_FLUSH
+    : constants.Z_SYNC_FLUSH
+}
+
+function isDeflate (stream) {
+  return stream instanceof zlib.Gzip ||
+    stream instanceof zlib.Deflate ||
+    stream instanceof zlib.DeflateRaw
+}
+
+// Returns the number of bytes that can be written to a zlib deflate stream
+// and flushed without its output exceeding `room` bytes. The bound used is a
+// slightly more conservative version of zlib's `deflateBound()` with room for
+// the sync flush marker: n + ceil(n / 2048) + 12
+function maxDeflateInput (room) {
+  return Math.floor((room - 13) * 2048 / 2049)
+}
+
+function getReadableLength (stream) {
+  return stream._readableState.length
+}
+
+function byteLength (chunk) {
+  if (typeof chunk === 'string') return Buffer.byteLength(chunk)
+  return Buffer.isBuffer(chunk) ? chunk.length : 0
+}
+
+function toBuffer (chunk, enc) {
+  return typeof chunk === 'string' ? Buffer.from(chunk, enc) : chunk
+}
+
+function measureLength (chunk) {
+  return chunk.length
+}
+
+// In object mode each object counts as 1 unless a custom `measure` function is
+// provided (similar to how `highWaterMark` works for object mode streams)
+function measureObject () {
+  return 1
+}
+
+function endsWith (chunk, delimiter) {
+  return chunk.length >= delimiter.length &&
+    chunk.indexOf(delimiter, chunk.length - delimiter.length) !== -1
+}
+
+function getBufferedSize (stream, measure) {
   const buffer = stream.writableBuffer || stream._writableState.getBuffer()
   return buffer.reduce((total, b) => {
-    return total + b.chunk.length
+    return total + measure(b.chunk)
   }, 0)
 }
 
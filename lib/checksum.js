@@ -0,0 +1,49 @@
+'use strict'
+
+const crypto = require('crypto')
+
+module.exports = createChecksum
+
+createChecksum.algorithms = ['crc32', 'md5', 'sha256']
+
+// Returns an object with the same `update()` and `digest()` functions as a
+// crypto Hash object, for all supported algorithms
+function createChecksum (algorithm) {
+  if (algorithm === 'crc32') return new Crc32()
+  return crypto.createHash(algorithm)
+}
+
+let table = null
+
+function Crc32 () {
+  if (table === null) table = makeTable()
+  this._crc = 0xffffffff
+}
+
+Crc32.prototype.update = function (chunk) {
+  if (typeof chunk === 'string') chunk = Buffer.from(chunk)
+  let crc = this._crc
+  for (let i = 0; i < chunk.length; i++) {
+    crc = table[(crc ^ chunk[i]) & 0xff] ^ (crc >>> 8)
+  }
+  this._crc = crc
+  return this
+}
+
+Crc32.prototype.digest = function (encoding) {
+  const buf = Buffer.allocUnsafe(4)
+  buf.writeUInt32BE((this._crc ^ 0xffffffff) >>> 0, 0)
+  return encoding ? buf.toString(encoding) : buf
+}
+
+function makeTable () {
+  const table = new Int32Array(256)
+  for (let n = 0; n < 256; n++) {
+    let c = n
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+    }
+    table[n] = c
+  }
+  return table
+}
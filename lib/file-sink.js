@@ -0,0 +1,193 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+
+const hasOwnProperty = Object.prototype.hasOwnProperty
+
+module.exports = fileSink
+
+// Returns a `stream` event listener that writes each output stream to its own
+// file. Data is written to a temporary file which is renamed once it has been
+// flushed to disk, so a file with its final name is always complete.
+function fileSink (opts) {
+  if (!opts || !opts.dir) throw new Error('stream-chopper fileSink requires a dir')
+
+  const dir = opts.dir
+  const pattern = opts.pattern || '{seq}-{time}{ext}'
+  const ext = opts.ext || ''
+  const mode = opts.mode === undefined ? 0o666 : opts.mode
+  const retention = {
+    maxFiles: opts.maxFiles || Infinity,
+    maxTotalBytes: opts.maxTotalBytes || Infinity,
+    maxAge: opts.maxAge || Infinity
+  }
+  const prune = retention.maxFiles !== Infinity ||
+    retention.maxTotalBytes !== Infinity ||
+    retention.maxAge !== Infinity
+  const match = opts.match || (typeof pattern === 'function' ? null : patternToRegExp(pattern, ext))
+
+  if (prune && match === null) {
+    throw new Error('stream-chopper fileSink requires a match option when using a pattern function together with retention options')
+  }
+
+  return function (stream, next, info) {
+    // when used as a `stream` event listener, `this` is the chopper
+    const chopper = this
+    const filename = path.join(dir, typeof pattern === 'function'
+      ? pattern(info)
+      : formatName(pattern, info, ext))
+    const tmp = filename + '.tmp'
+    let fd = null
+    let ended = false
+    let done = false
+
+    stream
+      .once('end', function () {
+        ended = true
+      })
+      .once('close', function () {
+        if (!ended) fail(new Error('output stream closed before it ended'))
+      })
+      .on('error', fail)
+
+    fs.open(tmp, 'w', mode, function (err, _fd) {
+      if (err) return fail(err)
+      fd = _fd
+      if (done) return fail()
+
+      const file = fs.createWriteStream(null, { fd, autoClose: false })
+
+      file.on('error', fail)
+      file.on('finish', function () {
+        fs.fsync(fd, function (err) {
+          if (err) return fail(err)
+          fs.close(fd, function (err) {
+            fd = null
+            if (err) return fail(err)
+            fs.rename(tmp, filename, function (err) {
+              if (err) return fail(err)
+              info.file = filename
+              if (!prune) return finish()
+              pruneFiles(dir, match, filename, retention, function (file) {
+                if (chopper && typeof chopper.emit === 'function') chopper.emit('pruned', file)
+              }, finish)
+            })
+          })
+        })
+      })
+
+      stream.pipe(file)
+    })
+
+    // clean up the temporary file
+    function fail (err) {
+      finish(err)
+      if (fd === null) return
+      fs.close(fd, function () {
+        fs.unlink(tmp, noop)
+      })
+      fd = null
+    }
+
+    function finish (err) {
+      if (done) return
+      done = true
+      next(err)
+    }
+  }
+}
+
+// Removes the oldest segments in `dir` until all retention limits are met. The
+// newly written segment `current` is never removed. Files that can't be removed
+// are skipped.
+function pruneFiles (dir, match, current, retention, onpruned, cb) {
+  fs.readdir(dir, function (err, names) {
+    if (err) return cb()
+
+    const files = names
+      .filter(name => match.test(name))
+      .map(name => ({ file: path.join(dir, name), stats: null }))
+
+    statFiles(files, function () {
+      const now = Date.now()
+      let count = 0
+      let total = 0
+
+      const expired = files
+        .filter(f => f.stats !== null)
+        // newest first, but always keep the current segment
+        .sort((a, b) => {
+          if (a.file === current) return -1
+          if (b.file === current) return 1
+          return b.stats.mtime.getTime() - a.stats.mtime.getTime() ||
+            (a.file < b.file ? 1 : -1)
+        })
+        .filter(f => {
+          if (f.file !== current && (
+            count + 1 > retention.maxFiles ||
+            total + f.stats.size > retention.maxTotalBytes ||
+            now - f.stats.mtime.getTime() > retention.maxAge
+          )) return true
+          count++
+          total += f.stats.size
+          return false
+        })
+
+      unlinkFiles(expired, onpruned, cb)
+    })
+  })
+}
+
+function statFiles (files, cb) {
+  let pending = files.length
+  if (pending === 0) return cb()
+  files.forEach(f => {
+    fs.stat(f.file, function (err, stats) {
+      if (!err) f.stats = stats
+      if (--pending === 0) cb()
+    })
+  })
+}
+
+function unlinkFiles (files, onpruned, cb) {
+  let pending = files.length
+  if (pending === 0) return cb()
+  files.forEach(f => {
+    fs.unlink(f.file, function (err) {
+      if (!err) onpruned(f.file)
+      if (--pending === 0) cb()
+    })
+  })
+}
+
+function patternToRegExp (pattern, ext) {
+  const placeholders = {
+    '{seq}': '\\d+',
+    '{time}': '\\d{4}-\\d{2}-\\d{2}T\\d{2}-\\d{2}-\\d{2}\\.\\d{3}Z',
+    '{ext}': escapeRegExp(ext)
+  }
+  const source = pattern
+    .split(/(\{seq\}|\{time\}|\{ext\})/)
+    .map(part => hasOwnProperty.call(placeholders, part) ? placeholders[part] : escapeRegExp(part))
+    .join('')
+  return new RegExp('^' + source + '$')
+}
+
+function escapeRegExp (str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+function formatName (pattern, info, ext) {
+  const values = {
+    seq: String(info.seq),
+    // colons are not allowed in filenames on all platforms
+    time: new Date(info.created).toISOString().replace(/:/g, '-'),
+    ext
+  }
+  return pattern.replace(/\{(seq|time|ext)\}/g, function (match, key) {
+    return values[key]
+  })
+}
+
+function noop () {}
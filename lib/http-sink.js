@@ -0,0 +1,65 @@
+'use strict'
+
+const http = require('http')
+const https = require('https')
+const url = require('url')
+
+module.exports = httpSink
+
+// Returns a `stream` event listener that streams each output stream to an HTTP
+// server as the body of a chunked request. `next` isn't called until the
+// server has responded.
+function httpSink (opts) {
+  if (typeof opts === 'string') opts = url.parse(opts)
+  if (!opts) opts = {}
+
+  return function (stream, next, info) {
+    const reqOpts = Object.assign({ method: 'POST' }, opts)
+    if (typeof opts.headers === 'function') reqOpts.headers = opts.headers(info)
+
+    const transport = reqOpts.protocol === 'https:' ? https : http
+    let ended = false
+    let done = false
+
+    const req = transport.request(reqOpts, function (res) {
+      const chunks = []
+
+      res.on('data', chunks.push.bind(chunks))
+      res.on('error', finish)
+      res.on('end', function () {
+        info.statusCode = res.statusCode
+        info.responseBody = Buffer.concat(chunks).toString()
+
+        if (res.statusCode >= 200 && res.statusCode < 300) return finish()
+
+        const err = new Error(`Unexpected response code from server: ${res.statusCode}`)
+        err.statusCode = res.statusCode
+        err.body = info.responseBody
+        finish(err)
+      })
+    })
+
+    req.on('error', finish)
+
+    stream
+      .once('end', function () {
+        ended = true
+      })
+      .once('close', function () {
+        if (ended) return
+        req.abort()
+        finish(new Error('output stream closed before it ended'))
+      })
+      .on('error', function (err) {
+        req.abort()
+        finish(err)
+      })
+      .pipe(req)
+
+    function finish (err) {
+      if (done) return
+      done = true
+      next(err)
+    }
+  }
+}
@@ -0,0 +1,204 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const zlib = require('zlib')
+const { PassThrough, Transform } = require('readable-stream')
+
+module.exports = join
+
+// The format of `{time}` in the file names written by `fileSink`
+const TIME = /\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}\.\d{3}Z/
+
+// Returns a readable stream emitting the data of each segment in `source`, one
+// after the other. The source can be an array of readable streams, an async
+// iterable of readable streams, or a directory of files written by
+// `fileSink`. Segments are opened one at a time, so only the current segment
+// is read from.
+function join (source, opts) {
+  if (!opts) opts = {}
+
+  const output = new PassThrough()
+  const next = createSource(source)
+  const header = frameSize(opts.header)
+  const footer = frameSize(opts.footer)
+  let current = null
+  let done = false
+
+  output.once('close', function () {
+    if (done) return
+    // the output stream was destroyed before all segments had been read
+    done = true
+    if (current !== null) destroy(current)
+    next.close()
+  })
+
+  nextSegment()
+
+  return output
+
+  function nextSegment () {
+    next(function (err, segment) {
+      if (done) {
+        if (segment) destroy(segment)
+        return
+      }
+      if (err) return fail(err)
+      if (segment === null) {
+        done = true
+        output.end()
+        return
+      }
+
+      let stream = segment
+      const streams = [segment]
+      if (opts.gunzip) streams.push(stream = stream.pipe(zlib.createGunzip()))
+      if (header > 0 || footer > 0) streams.push(stream = stream.pipe(strip(header, footer)))
+
+      current = segment
+      streams.forEach(function (s) {
+        s.on('error', fail)
+      })
+      stream.once('end', function () {
+        current = null
+        stream.unpipe(output)
+        nextSegment()
+      })
+      stream.pipe(output, { end: false })
+    })
+  }
+
+  function fail (err) {
+    if (done) return
+    done = true
+    if (current !== null) destroy(current)
+    next.close()
+    output.destroy(err)
+  }
+}
+
+// Returns a function that calls back with the next segment in `source`, or
+// null if there are no more segments. Its `close` function is called if the
+// remaining segments aren't going to be read.
+function createSource (source) {
+  if (typeof source === 'string') return dirSource(source)
+  if (Array.isArray(source)) return arraySource(source)
+  if (isAsyncIterable(source)) return iterableSource(source)
+  throw new Error('stream-chopper join requires an array of streams, an async iterable or a directory')
+}
+
+function arraySource (streams) {
+  let index = 0
+  const next = function (cb) {
+    const segment = index < streams.length ? streams[index++] : null
+    process.nextTick(cb, null, segment)
+  }
+  next.close = function () {
+    streams.slice(index).forEach(destroy)
+  }
+  return next
+}
+
+function iterableSource (iterable) {
+  const iterator = iterable[Symbol.asyncIterator]()
+  const next = function (cb) {
+    iterator.next().then(function (result) {
+      cb(null, result.done ? null : result.value)
+    }, cb)
+  }
+  next.close = function () {
+    if (typeof iterator.return === 'function') iterator.return().catch(noop)
+  }
+  return next
+}
+
+// Segment files are read in the order of the time in their name, and then of
+// the sequence number at the beginning of it (as written by `fileSink`). The
+// sequence number starts over for each chopper, so it can't be relied on by
+// itself if the directory was written to by more than one.
+function dirSource (dir) {
+  let files = null
+
+  const next = function (cb) {
+    if (files !== null) return process.nextTick(cb, null, open())
+
+    fs.readdir(dir, function (err, names) {
+      if (err) return cb(err)
+      files = names
+        .filter(name => path.extname(name) !== '.tmp' && /^\d+/.test(name))
+        .sort(compareNames)
+        .map(name => path.join(dir, name))
+      cb(null, open())
+    })
+  }
+  next.close = noop
+
+  function open () {
+    return files.length === 0 ? null : fs.createReadStream(files.shift())
+  }
+
+  return next
+}
+
+function compareNames (a, b) {
+  return compare(nameTime(a), nameTime(b)) ||
+    parseInt(a, 10) - parseInt(b, 10) ||
+    compare(a, b)
+}
+
+// Returns the time in a file name written by `fileSink`, or an empty string if
+// there isn't any. The time is formatted so it sorts as a string.
+function nameTime (name) {
+  const match = TIME.exec(name)
+  return match === null ? '' : match[0]
+}
+
+function compare (a, b) {
+  return a < b ? -1 : a > b ? 1 : 0
+}
+
+// Returns a transform stream that removes the first `header` and the last
+// `footer` bytes of the data
+function strip (header, footer) {
+  let skip = header
+  let tail = Buffer.alloc(0)
+
+  return new Transform({
+    transform (chunk, enc, cb) {
+      if (skip > 0) {
+        const n = Math.min(skip, chunk.length)
+        chunk = chunk.slice(n)
+        skip -= n
+      }
+      if (footer === 0) return cb(null, chunk)
+      // hold back enough data to be able to remove the footer at the end
+      tail = Buffer.concat([tail, chunk])
+      if (tail.length <= footer) return cb()
+      const data = tail.slice(0, tail.length - footer)
+      tail = tail.slice(tail.length - footer)
+      cb(null, data)
+    }
+  })
+}
+
+function frameSize (frame) {
+  if (frame === undefined || frame === null) return 0
+  if (typeof frame === 'number') return frame
+  if (typeof frame === 'string') return Buffer.byteLength(frame)
+  if (Buffer.isBuffer(frame)) return frame.length
+  // the size of a header or footer returned by a function can differ from
+  // segment to segment, so there's no way to know how much to remove
+  throw new Error('stream-chopper join can only strip a header or footer given as a string, a buffer or a number of bytes')
+}
+
+function isAsyncIterable (source) {
+  return !!source &&
+    typeof Symbol.asyncIterator === 'symbol' &&
+    typeof source[Symbol.asyncIterator] === 'function'
+}
+
+function destroy (stream) {
+  if (typeof stream.destroy === 'function') stream.destroy()
+}
+
+function noop () {}
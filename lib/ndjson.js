@@ -0,0 +1,75 @@
+'use strict'
+
+const util = require('util')
+const { Writable } = require('readable-stream')
+const StreamChopper = require('../')
+
+module.exports = NdjsonChopper
+
+util.inherits(NdjsonChopper, StreamChopper)
+
+const oversizes = ['alone', 'event']
+
+// A chopper that takes JavaScript values and writes each one as a line of
+// JSON. Values are serialized as they're written, so everything after that
+// deals with bytes, and since each line is written as a chunk of its own, the
+// `boundary` type ensures that a line is never split between output streams.
+function NdjsonChopper (opts) {
+  if (!(this instanceof NdjsonChopper)) return new NdjsonChopper(opts)
+  if (!opts) opts = {}
+
+  this._oversize = opts.oversize || 'alone'
+
+  if (oversizes.indexOf(this._oversize) === -1) {
+    throw new Error(`stream-chopper cannot handle oversize records by ${this._oversize}`)
+  }
+
+  StreamChopper.call(this, Object.assign({}, opts, {
+    objectMode: false,
+    type: StreamChopper.boundary,
+    delimiter: '\n'
+  }))
+
+  // The room for a record in an empty output stream. A header or footer
+  // function can't be measured until the output stream is created, so only
+  // strings and buffers are taken into account.
+  this._maxRecordSize = this.size -
+    frameSize(opts.header, this._measure) -
+    frameSize(opts.footer, this._measure)
+}
+
+NdjsonChopper.prototype.write = function (value, enc, cb) {
+  if (typeof enc === 'function') return this.write(value, null, enc)
+
+  let line
+  try {
+    line = serialize(value)
+  } catch (err) {
+    if (cb) process.nextTick(cb, err)
+    this.destroy(err)
+    return false
+  }
+
+  // writes after the chopper has ended are left for the writable stream to
+  // reject
+  const writable = !this._writableState.ending && !this.destroyed
+
+  if (writable && this._oversize === 'event' && this._measure(line) > this._maxRecordSize) {
+    this.emit('oversize', value, line)
+    if (cb) process.nextTick(cb)
+    return true
+  }
+
+  return Writable.prototype.write.call(this, line, cb)
+}
+
+function serialize (value) {
+  const json = JSON.stringify(value)
+  if (json === undefined) throw new Error(`stream-chopper cannot serialize ${typeof value} as JSON`)
+  return Buffer.from(json + '\n')
+}
+
+function frameSize (frame, measure) {
+  if (frame === undefined || frame === null || typeof frame === 'function') return 0
+  return measure(frame)
+}
@@ -0,0 +1,201 @@
+'use strict'
+
+const util = require('util')
+const { Writable } = require('readable-stream')
+const StreamChopper = require('../')
+
+module.exports = Partitioned
+
+util.inherits(Partitioned, Writable)
+
+const LANE_TIMEOUT = 60 * 1000
+
+// A writable stream that routes each written chunk to a lane based on the key
+// returned by `opts.key`. A lane is a `StreamChopper` of its own, created the
+// first time its key is seen and closed once it hasn't been written to for
+// `laneTimeout` milliseconds. The output streams of all lanes are emitted by
+// the partitioned stream.
+//
+// Data written to a lane counts towards `maxBuffered` until the lane has
+// accepted it, so the lanes share a single limit on the amount of data held
+// in memory.
+function Partitioned (opts) {
+  if (!(this instanceof Partitioned)) return new Partitioned(opts)
+  if (!opts || typeof opts.key !== 'function') {
+    throw new Error('stream-chopper partitioned requires a key function')
+  }
+  if (opts.spool) throw new Error('stream-chopper partitioned cannot spool')
+  if (opts.onOverload && opts.onOverload !== 'block') {
+    throw new Error(`stream-chopper partitioned cannot handle overload by ${opts.onOverload}`)
+  }
+
+  Writable.call(this, {
+    objectMode: opts.objectMode,
+    highWaterMark: opts.highWaterMark,
+    decodeStrings: false
+  })
+
+  this.laneTimeout = opts.laneTimeout || LANE_TIMEOUT
+  this.maxBuffered = opts.maxBuffered || Infinity
+
+  this._key = opts.key
+  this._laneOpts = Object.assign({}, opts)
+  delete this._laneOpts.key
+  delete this._laneOpts.laneTimeout
+  delete this._laneOpts.maxBuffered
+  delete this._laneOpts.onOverload
+
+  this._lanes = new Map()
+  this._closing = new Set()
+  this._buffered = 0
+  this._blockedCb = null
+}
+
+// The number of open lanes
+Object.defineProperty(Partitioned.prototype, 'lanes', {
+  get () {
+    return this._lanes.size
+  }
+})
+
+// Resolves once all lanes have been closed and `next` have been called for
+// all their output streams
+Partitioned.prototype.close = function () {
+  return new Promise((resolve, reject) => {
+    const done = err => {
+      this.removeListener('finish', onfinish)
+      this.removeListener('error', done)
+      this.removeListener('close', onclose)
+      if (err) reject(err)
+      else resolve()
+    }
+
+    const onfinish = () => {
+      done()
+    }
+
+    const onclose = () => {
+      done(new Error('stream-chopper was destroyed before it could close'))
+    }
+
+    if (this.destroyed) return onclose()
+    if (this._writableState.finished) return onfinish()
+
+    this
+      .on('finish', onfinish)
+      .on('error', done)
+      .on('close', onclose)
+    if (!this._writableState.ending) this.end()
+  })
+}
+
+Partitioned.prototype._write = function (chunk, enc, cb) {
+  let lane
+  try {
+    const key = String(this._key(chunk))
+    lane = this._lanes.get(key) || this._createLane(key)
+  } catch (err) {
+    return cb(err)
+  }
+
+  this._resetLaneTimer(lane)
+
+  const size = this._writableState.objectMode ? 1 : byteLength(chunk, enc)
+  this._buffered += size
+  lane.chopper.write(chunk, enc, () => {
+    this._buffered -= size
+    this._release()
+  })
+
+  // hold on to the callback until the lanes have room again
+  if (this._buffered > this.maxBuffered) this._blockedCb = cb
+  else cb()
+}
+
+Partitioned.prototype._release = function () {
+  if (this._blockedCb === null || this._buffered > this.maxBuffered) return
+  const cb = this._blockedCb
+  this._blockedCb = null
+  cb()
+}
+
+Partitioned.prototype._createLane = function (key) {
+  const chopper = new StreamChopper(this._laneOpts)
+  const lane = { key, chopper, timer: null }
+
+  chopper
+    .on('stream', (stream, next, info) => {
+      info.key = key
+      this.emit('stream', stream, next, info, key)
+    })
+    .on('chop', (stream, info, reason) => {
+      this.emit('chop', stream, info, reason)
+    })
+    .on('retry', (err, info) => {
+      this.emit('retry', err, info)
+    })
+    .on('unretryable', info => {
+      this.emit('unretryable', info)
+    })
+    .on('error', err => {
+      this.destroy(err)
+    })
+
+  this._lanes.set(key, lane)
+  return lane
+}
+
+Partitioned.prototype._resetLaneTimer = function (lane) {
+  if (lane.timer !== null) clearTimeout(lane.timer)
+  lane.timer = setTimeout(() => {
+    lane.timer = null
+    this._closeLane(lane).catch(noop)
+  }, this.laneTimeout)
+  lane.timer.unref()
+}
+
+// Removes the lane right away, so a write with the same key made while it's
+// closing will start a new lane
+Partitioned.prototype._closeLane = function (lane) {
+  if (lane.timer !== null) {
+    clearTimeout(lane.timer)
+    lane.timer = null
+  }
+  this._lanes.delete(lane.key)
+  this._closing.add(lane)
+
+  const closed = lane.chopper.close()
+  const done = () => {
+    this._closing.delete(lane)
+  }
+  closed.then(done, done)
+  return closed
+}
+
+Partitioned.prototype._final = function (cb) {
+  const closing = Array.from(this._closing, lane => lane.chopper.close())
+  this._lanes.forEach(lane => {
+    closing.push(this._closeLane(lane))
+  })
+  Promise.all(closing).then(() => {
+    cb()
+  }, cb)
+}
+
+Partitioned.prototype._destroy = function (err, cb) {
+  const lanes = Array.from(this._lanes.values()).concat(Array.from(this._closing))
+  this._lanes.clear()
+  this._closing.clear()
+  this._blockedCb = null
+  lanes.forEach(lane => {
+    if (lane.timer !== null) clearTimeout(lane.timer)
+    lane.chopper.destroy()
+  })
+  cb(err)
+}
+
+function byteLength (chunk, enc) {
+  return typeof chunk === 'string' ? Buffer.byteLength(chunk, enc) : chunk.length
+}
+
+function noop () {}
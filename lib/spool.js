@@ -0,0 +1,413 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+
+module.exports = Spool
+
+const HEADER_SIZE = 4
+const SEGMENT_SIZE = 1024 * 1024
+const SEGMENT_NAME = /^stream-chopper-(\d+)\.spool$/
+const OFFSET_NAME = 'stream-chopper.offset'
+const OFFSET_SIZE = 12
+
+// A queue of chunks stored in files on disk. Each chunk is stored as a record
+// prefixed with its length. Records are appended to the newest segment file
+// and read from the oldest. A new segment is started when the newest one
+// grows too big.
+//
+// Reading a record doesn't remove it from the spool. Instead, the position up
+// to which records can be discarded is committed separately, once the data
+// read has been taken care of. The committed position is stored in an offset
+// file, and segments are removed once all their records have been committed,
+// so the disk space used is kept close to the size of the data that hasn't
+// been taken care of yet. If the process crashes, the records after the
+// committed position are recovered when the spool is opened again.
+//
+// All operations are performed in the order they are called, one at a time.
+function Spool (opts) {
+  if (!opts || !opts.dir) throw new Error('stream-chopper spool requires a dir')
+
+  this.dir = opts.dir
+  this.maxBytes = opts.maxBytes || Infinity
+  this.segmentSize = opts.segmentSize || SEGMENT_SIZE
+  this.size = 0 // the number of bytes of unread data (excluding headers)
+  this.length = 0 // the number of unread records
+
+  // the oldest segment is the one holding the committed position, and the
+  // newest is written to
+  this._segments = []
+  this._commit = { seq: 0, pos: 0 }
+  this._readSeq = 0
+  this._readPos = 0
+  this._readFd = null
+  this._writeFd = null
+  this._offsetFd = null
+  this._ops = []
+  this._busy = false
+  this._closed = false
+}
+
+Spool.prototype.open = function (cb) {
+  this._op(done => {
+    this._openOffset(err => {
+      if (err) return done(err)
+      fs.readdir(this.dir, (err, names) => {
+        if (err) return done(err)
+
+        const segments = names
+          .map(name => SEGMENT_NAME.exec(name))
+          .filter(match => match !== null)
+          .map(match => ({ seq: Number(match[1]), size: 0 }))
+          .sort((a, b) => a.seq - b.seq)
+
+        // segments before the committed one are left over if the process
+        // crashed while removing them
+        const stale = segments
+          .filter(segment => segment.seq < this._commit.seq)
+          .map(segment => this._file(segment))
+        this._segments = segments.filter(segment => segment.seq >= this._commit.seq)
+
+        if (this._segments.length === 0) {
+          this._segments.push({ seq: this._commit.seq, size: 0 })
+        }
+        if (this._segments[0].seq !== this._commit.seq) {
+          this._commit = { seq: this._segments[0].seq, pos: 0 }
+        }
+        this._readSeq = this._commit.seq
+        this._readPos = this._commit.pos
+
+        unlinkAll(stale, err => {
+          if (err) return done(err)
+          this._recover(0, err => {
+            if (err) return done(err)
+            const last = this._segments[this._segments.length - 1]
+            fs.open(this._file(last), 'a', (err, fd) => {
+              if (err) return done(err)
+              this._writeFd = fd
+              done()
+            })
+          })
+        })
+      })
+    })
+  }, cb)
+}
+
+// Appends `chunk` to the spool. The size is updated right away so room for
+// the chunk is accounted for while it's being written.
+Spool.prototype.push = function (chunk, cb) {
+  this.size += chunk.length
+  this.length++
+  this._op(done => {
+    const header = Buffer.allocUnsafe(HEADER_SIZE)
+    header.writeUInt32BE(chunk.length, 0)
+    const record = Buffer.concat([header, chunk])
+
+    this._maybeRotate(err => {
+      if (err) return done(err)
+      const segment = this._segments[this._segments.length - 1]
+      writeAll(this._writeFd, record, segment.size, err => {
+        if (err) return done(err)
+        segment.size += record.length
+        done()
+      })
+    })
+  }, cb)
+}
+
+// Reads the oldest unread record from the spool. Calls `cb` with `null` if
+// there's nothing left to read. The record is kept in the spool until
+// `commit` is called with the mark that's passed to `cb` along with it, or
+// with a later one.
+Spool.prototype.shift = function (cb) {
+  this._op(done => {
+    this._read((err, chunk) => {
+      if (err) return done(err)
+      if (chunk !== null) {
+        this.size -= chunk.length
+        this.length--
+      }
+      done(null, chunk, { seq: this._readSeq, pos: this._readPos })
+    })
+  }, cb)
+}
+
+// Discards the oldest unread records until the spool is no larger than `size`
+// bytes. Calls `cb` with the number of bytes discarded. The records are
+// removed from disk along with those before them once a later mark is
+// committed.
+Spool.prototype.drop = function (size, cb) {
+  this._op(done => {
+    let dropped = 0
+    const next = () => {
+      if (this.size <= size) return done(null, dropped)
+      this._read((err, chunk) => {
+        if (err || chunk === null) return done(err, dropped)
+        this.size -= chunk.length
+        this.length--
+        dropped += chunk.length
+        next()
+      })
+    }
+    next()
+  }, cb)
+}
+
+// Marks the records up to `mark` as taken care of, so they won't be recovered
+// after a crash. Segments that only hold such records are removed.
+Spool.prototype.commit = function (mark, cb) {
+  this._op(done => {
+    if (compare(mark, this._commit) <= 0) return done()
+
+    const buf = Buffer.alloc(OFFSET_SIZE)
+    buf.writeUIntBE(mark.seq, 0, OFFSET_SIZE / 2)
+    buf.writeUIntBE(mark.pos, OFFSET_SIZE / 2, OFFSET_SIZE / 2)
+    writeAll(this._offsetFd, buf, 0, err => {
+      if (err) return done(err)
+      this._commit = { seq: mark.seq, pos: mark.pos }
+      const files = this._segments
+        .filter(segment => segment.seq < mark.seq)
+        .map(segment => this._file(segment))
+      this._segments = this._segments.filter(segment => segment.seq >= mark.seq)
+      unlinkAll(files, done)
+    })
+  }, cb)
+}
+
+// Closes the spool. If all records have been committed, the spool files are
+// also removed.
+Spool.prototype.close = function (cb) {
+  this._op(done => {
+    this._closed = true
+    const fds = [this._readFd, this._writeFd, this._offsetFd]
+      .filter(fd => fd !== null)
+    this._readFd = null
+    this._writeFd = null
+    this._offsetFd = null
+
+    const last = this._segments[this._segments.length - 1]
+    const empty = last !== undefined &&
+      this.length === 0 &&
+      this._commit.seq === last.seq &&
+      this._commit.pos === last.size
+
+    closeAll(fds, err => {
+      if (err || !empty) return done(err)
+      const files = this._segments
+        .map(segment => this._file(segment))
+        .concat(path.join(this.dir, OFFSET_NAME))
+      this._segments = []
+      unlinkAll(files, done)
+    })
+  }, cb)
+}
+
+Spool.prototype._op = function (fn, cb) {
+  this._ops.push({ fn, cb: cb || noop })
+  if (!this._busy) this._runOp()
+}
+
+Spool.prototype._runOp = function () {
+  const op = this._ops.shift()
+  if (op === undefined) {
+    this._busy = false
+    return
+  }
+  this._busy = true
+  if (this._closed) {
+    op.cb(new Error('stream-chopper spool is closed'))
+    this._runOp()
+    return
+  }
+  op.fn((err, result, mark) => {
+    op.cb(err, result, mark)
+    this._runOp()
+  })
+}
+
+Spool.prototype._file = function (segment) {
+  return path.join(this.dir, `stream-chopper-${segment.seq}.spool`)
+}
+
+// Opens the offset file and reads the committed position from it. The file
+// is written in place, so it's never left empty by a crash once it has been
+// written.
+Spool.prototype._openOffset = function (cb) {
+  const file = path.join(this.dir, OFFSET_NAME)
+  fs.open(file, 'r+', (err, fd) => {
+    if (err && err.code === 'ENOENT') {
+      return fs.open(file, 'w', (err, fd) => {
+        if (err) return cb(err)
+        this._offsetFd = fd
+        cb()
+      })
+    }
+    if (err) return cb(err)
+    this._offsetFd = fd
+
+    fs.fstat(fd, (err, stats) => {
+      if (err) return cb(err)
+      if (stats.size < OFFSET_SIZE) return cb()
+      readAll(fd, OFFSET_SIZE, 0, (err, buf) => {
+        if (err) return cb(err)
+        this._commit = {
+          seq: buf.readUIntBE(0, OFFSET_SIZE / 2),
+          pos: buf.readUIntBE(OFFSET_SIZE / 2, OFFSET_SIZE / 2)
+        }
+        cb()
+      })
+    })
+  })
+}
+
+// Start a new segment if the newest one is full
+Spool.prototype._maybeRotate = function (cb) {
+  const last = this._segments[this._segments.length - 1]
+  if (last.size < this.segmentSize) return cb()
+
+  const segment = { seq: last.seq + 1, size: 0 }
+  fs.open(this._file(segment), 'a', (err, fd) => {
+    if (err) return cb(err)
+    const prevFd = this._writeFd
+    this._writeFd = fd
+    this._segments.push(segment)
+    fs.close(prevFd, cb)
+  })
+}
+
+// Reads the record at the read position, moving on to the next segment once
+// all records in a segment have been read
+Spool.prototype._read = function (cb) {
+  const index = this._segments.findIndex(segment => segment.seq === this._readSeq)
+  const segment = this._segments[index]
+
+  if (this._readPos >= segment.size) {
+    if (index === this._segments.length - 1) return cb(null, null)
+    const fd = this._readFd
+    this._readFd = null
+    this._readSeq = this._segments[index + 1].seq
+    this._readPos = 0
+    if (fd === null) return this._read(cb)
+    fs.close(fd, err => {
+      if (err) cb(err)
+      else this._read(cb)
+    })
+    return
+  }
+
+  if (this._readFd === null) {
+    fs.open(this._file(segment), 'r', (err, fd) => {
+      if (err) return cb(err)
+      this._readFd = fd
+      this._read(cb)
+    })
+    return
+  }
+
+  readAll(this._readFd, HEADER_SIZE, this._readPos, (err, header) => {
+    if (err) return cb(err)
+    const length = header.readUInt32BE(0)
+    readAll(this._readFd, length, this._readPos + HEADER_SIZE, (err, chunk) => {
+      if (err) return cb(err)
+      this._readPos += HEADER_SIZE + length
+      cb(null, chunk)
+    })
+  })
+}
+
+// Counts the records left after the committed position by a previous process.
+// An incomplete record at the end of a segment (e.g. caused by a crash while
+// writing it) is discarded.
+Spool.prototype._recover = function (index, cb) {
+  const segment = this._segments[index]
+  if (segment === undefined) return cb()
+
+  fs.open(this._file(segment), 'a+', (err, fd) => {
+    if (err) return cb(err)
+
+    const done = err => {
+      fs.close(fd, err2 => {
+        if (err || err2) return cb(err || err2)
+        this._recover(index + 1, cb)
+      })
+    }
+
+    fs.fstat(fd, (err, stats) => {
+      if (err) return done(err)
+
+      const fileSize = stats.size
+      const next = pos => {
+        if (pos + HEADER_SIZE > fileSize) return end(pos)
+        readAll(fd, HEADER_SIZE, pos, (err, header) => {
+          if (err) return done(err)
+          const length = header.readUInt32BE(0)
+          if (pos + HEADER_SIZE + length > fileSize) return end(pos)
+          if (index > 0 || pos >= this._commit.pos) {
+            // start reading from the first record that wasn't committed
+            if (index === 0 && this.length === 0) this._readPos = pos
+            this.size += length
+            this.length++
+          }
+          next(pos + HEADER_SIZE + length)
+        })
+      }
+      const end = pos => {
+        segment.size = pos
+        if (index === 0 && this.length === 0) {
+          // everything in the oldest segment have been committed
+          this._readPos = pos
+          this._commit.pos = Math.min(this._commit.pos, pos)
+        }
+        if (pos === fileSize) return done()
+        fs.ftruncate(fd, pos, done)
+      }
+
+      next(0)
+    })
+  })
+}
+
+// Compares two positions in the spool
+function compare (a, b) {
+  return a.seq - b.seq || a.pos - b.pos
+}
+
+function writeAll (fd, buf, pos, cb) {
+  fs.write(fd, buf, 0, buf.length, pos, (err, written) => {
+    if (err) return cb(err)
+    if (written === buf.length) return cb()
+    writeAll(fd, buf.slice(written), pos + written, cb)
+  })
+}
+
+function readAll (fd, length, pos, cb) {
+  const buf = Buffer.allocUnsafe(length)
+  const next = offset => {
+    if (offset === length) return cb(null, buf)
+    fs.read(fd, buf, offset, length - offset, pos + offset, (err, bytesRead) => {
+      if (err) return cb(err)
+      if (bytesRead === 0) return cb(new Error('stream-chopper spool file is truncated'))
+      next(offset + bytesRead)
+    })
+  }
+  next(0)
+}
+
+function closeAll (fds, cb) {
+  if (fds.length === 0) return cb()
+  fs.close(fds[0], err => {
+    if (err) return cb(err)
+    closeAll(fds.slice(1), cb)
+  })
+}
+
+function unlinkAll (files, cb) {
+  if (files.length === 0) return cb()
+  fs.unlink(files[0], err => {
+    if (err && err.code !== 'ENOENT') return cb(err)
+    unlinkAll(files.slice(1), cb)
+  })
+}
+
+function noop () {}
@@ -1,8 +1,13 @@
 'use strict'
 
+const fs = require('fs')
+const os = require('os')
+const http = require('http')
+const path = require('path')
 const test = require('tape')
 const zlib = require('zlib')
 const crypto = require('crypto')
+const { PassThrough, Transform } = require('readable-stream')
 const StreamChopper = require('./')
 
 const types = [
@@ -11,10 +16,18 @@ const types = [
   StreamChopper.underflow
 ]
 
+// Timers can fire slightly early as measured by `Date.now()`, so allow for
+// that when asserting how long it took for a timer to fire
+const TIMER_SLACK = 5
+
 test('default values', function (t) {
   const chopper = new StreamChopper()
   t.equal(chopper.size, Infinity)
+  t.equal(chopper.maxItems, Infinity)
   t.equal(chopper.time, -1)
+  t.equal(chopper.idle, -1)
+  t.equal(chopper.minSize, 0)
+  t.equal(chopper.minTime, 0)
   t.equal(chopper.type, StreamChopper.split)
   t.equal(chopper._transform, undefined)
   t.equal(chopper._locked, false)
@@ -25,13 +38,31 @@ test('default values', function (t) {
 test('throw on invalid config', function (t) {
   t.throws(function () {
     new StreamChopper({ // eslint-disable-line no-new
-      type: StreamChopper.split,
-      transform () {}
+      strict: true,
+      type: StreamChopper.overflow
+    })
+  })
+  t.throws(function () {
+    new StreamChopper({ // eslint-disable-line no-new
+      objectMode: true,
+      type: StreamChopper.split
+    })
+  })
+  t.throws(function () {
+    new StreamChopper({ // eslint-disable-line no-new
+      objectMode: true,
+      type: StreamChopper.boundary
+    })
+  })
+  t.throws(function () {
+    new StreamChopper({ // eslint-disable-line no-new
+      align: 'fortnight'
     })
   })
   t.throws(function () {
     new StreamChopper({ // eslint-disable-line no-new
-      transform () {}
+      maxBuffered: 10,
+      onOverload: 'panic'
     })
   })
   t.end()
@@ -120,6 +151,258 @@ test('transform: very fast writes should not exceed size limit too much', functi
   }
 })
 
+test('transform: type:split', function (t) {
+  const data = crypto.randomBytes(4 * 1024).toString('hex')
+  const size = 1024
+  const streams = []
+
+  const chopper = new StreamChopper({
+    size,
+    transform () {
+      return zlib.createGzip()
+    }
+  })
+
+  chopper.on('stream', function (stream, next) {
+    const chunks = []
+    stream.on('data', chunks.push.bind(chunks))
+    stream.on('end', function () {
+      streams.push(Buffer.concat(chunks))
+      next()
+    })
+  })
+
+  chopper.write(data)
+  chopper.close().then(function () {
+    t.ok(streams.length > 1, `should split the chunk into several output streams (${streams.length})`)
+    streams.forEach(function (buf, index) {
+      t.ok(buf.length <= size + 64, `output stream ${index} should be within bounds (${buf.length} <= ${size + 64})`)
+    })
+    const result = streams.map(function (buf) {
+      return zlib.gunzipSync(buf).toString()
+    }).join('')
+    t.equal(result, data, 'should be able to reassemble the data')
+    t.equal(chopper.stats().splits, streams.length - 1)
+    t.end()
+  })
+})
+
+test('transform: type:split - several writes just under size', function (t) {
+  const size = 5000
+  const chunks = [crypto.randomBytes(4900), crypto.randomBytes(4900), crypto.randomBytes(4900)]
+  const streams = []
+
+  const chopper = new StreamChopper({
+    size,
+    transform () {
+      return zlib.createGzip()
+    }
+  })
+
+  chopper.on('stream', function (stream, next) {
+    const chunks = []
+    stream.on('data', chunks.push.bind(chunks))
+    stream.on('end', function () {
+      streams.push(Buffer.concat(chunks))
+      next()
+    })
+  })
+
+  chunks.forEach(function (chunk) {
+    chopper.write(chunk)
+  })
+  chopper.close().then(function () {
+    t.ok(streams.length > 2, `should split the data into several output streams (${streams.length})`)
+    streams.forEach(function (buf, index) {
+      t.ok(buf.length <= size + 64, `output stream ${index} should be within bounds (${buf.length} <= ${size + 64})`)
+    })
+    const result = Buffer.concat(streams.map(function (buf) {
+      return zlib.gunzipSync(buf)
+    }))
+    t.ok(result.equals(Buffer.concat(chunks)), 'should be able to reassemble the data')
+    t.end()
+  })
+})
+
+test('transform: type:split with regular transform stream', function (t) {
+  const expected = [
+    'AAAAAAAAAA',
+    'AAAAAAAAAA',
+    'AAAAAB'
+  ]
+
+  const chopper = new StreamChopper({
+    size: 10,
+    transform () {
+      return new Transform({
+        transform (chunk, enc, cb) {
+          cb(null, chunk.toString().toUpperCase())
+        }
+      })
+    }
+  })
+
+  chopper.on('stream', assertData(t, expected))
+
+  chopper.write('aaaaaaaaaaaaaaaaaaaaaaaaa')
+  chopper.end('b')
+})
+
+test('transform: strict', function (t) {
+  const writes = [
+    crypto.randomBytes(10),
+    crypto.randomBytes(5000),
+    crypto.randomBytes(1000),
+    crypto.randomBytes(3000).toString('hex'),
+    crypto.randomBytes(1),
+    crypto.randomBytes(2000)
+  ]
+  const data = Buffer.concat(writes.map(function (chunk) {
+    return Buffer.from(chunk)
+  }))
+  const size = 1024
+  const streams = []
+
+  const chopper = new StreamChopper({
+    size,
+    strict: true,
+    header: '[',
+    footer: ']',
+    transform () {
+      return zlib.createGzip()
+    }
+  })
+
+  chopper.on('stream', function (stream, next) {
+    const chunks = []
+    stream.on('data', chunks.push.bind(chunks))
+    stream.on('end', function () {
+      streams.push(Buffer.concat(chunks))
+      next()
+    })
+  })
+
+  writes.forEach(function (chunk) {
+    chopper.write(chunk)
+  })
+  chopper.close().then(function () {
+    t.ok(streams.length > 1, `should split the data into several output streams (${streams.length})`)
+    streams.forEach(function (buf, index) {
+      t.ok(buf.length <= size, `output stream ${index} should not exceed size (${buf.length} <= ${size})`)
+    })
+    const result = Buffer.concat(streams.map(function (buf) {
+      const data = zlib.gunzipSync(buf)
+      t.equal(data[0], 0x5b, 'should start with header')
+      t.equal(data[data.length - 1], 0x5d, 'should end with footer')
+      return data.slice(1, -1)
+    }))
+    t.ok(result.equals(data), 'should be able to reassemble the data')
+    t.end()
+  })
+})
+
+test('transform: strict - compressible data', function (t) {
+  const size = 1024
+  const streams = []
+
+  const chopper = new StreamChopper({
+    size,
+    strict: true,
+    transform () {
+      return zlib.createGzip()
+    }
+  })
+
+  chopper.on('stream', function (stream, next) {
+    const chunks = []
+    stream.on('data', chunks.push.bind(chunks))
+    stream.on('end', function () {
+      streams.push(Buffer.concat(chunks))
+      next()
+    })
+  })
+
+  for (let n = 0; n < 2000; n++) {
+    chopper.write(`{"n":${n},"msg":"hello world"}\n`)
+  }
+  chopper.close().then(function () {
+    t.ok(streams.length > 1, `should split the data into several output streams (${streams.length})`)
+    streams.forEach(function (buf, index) {
+      t.ok(buf.length <= size, `output stream ${index} should not exceed size (${buf.length} <= ${size})`)
+      if (index < streams.length - 1) {
+        t.ok(buf.length > size / 2, `output stream ${index} should make use of the available size (${buf.length})`)
+      }
+    })
+    t.end()
+  })
+})
+
+test('transform: strict - retry', function (t) {
+  const outputs = []
+
+  const chopper = new StreamChopper({
+    size: 512,
+    strict: true,
+    maxRetries: 1,
+    retryDelay: 1,
+    retryBufferSize: 4096,
+    transform () {
+      return zlib.createGzip()
+    }
+  })
+
+  chopper.on('stream', function (stream, next, info) {
+    const chunks = []
+    stream.on('data', chunks.push.bind(chunks))
+    stream.on('end', function () {
+      if (info.seq !== 0) return next()
+      outputs.push(Buffer.concat(chunks))
+      if (info.attempt === 0) return next(new Error('boom'))
+      outputs.forEach(function (buf, index) {
+        t.ok(buf.length <= 512, `output of attempt ${index} should not exceed size (${buf.length} <= 512)`)
+      })
+      t.ok(zlib.gunzipSync(outputs[1]).equals(zlib.gunzipSync(outputs[0])), 'retried output stream should contain the same data')
+      next()
+      chopper.destroy()
+      t.end()
+    })
+  })
+
+  chopper.write(crypto.randomBytes(1000).toString('hex'))
+})
+
+test('transform: strict - unsupported transform stream', function (t) {
+  const chopper = new StreamChopper({
+    strict: true,
+    size: 100,
+    transform () {
+      return new Transform({
+        transform (chunk, enc, cb) {
+          cb(null, chunk)
+        }
+      })
+    }
+  })
+
+  const errors = []
+
+  chopper.on('stream', function (stream, next) {
+    t.fail('should not emit an output stream')
+  })
+
+  chopper.on('error', function (err) {
+    errors.push(err)
+  })
+
+  chopper.on('close', function () {
+    t.equal(errors.length, 1, 'should only emit one error')
+    t.equal(errors[0].message, 'stream-chopper can only guarantee the size limit of zlib deflate streams')
+    t.end()
+  })
+
+  for (let n = 0; n < 20; n++) chopper.write('0123456789')
+})
+
 test('transform: shouldn\'t throw even if transform stream is set to null before first data event', function (t) {
   const chopper = new StreamChopper({
     type: StreamChopper.overflow,
@@ -263,750 +546,3281 @@ test('1st write with remainder and type:underflow', function (t) {
   chopper.end()
 })
 
-test('if next() is not called, next stream should not be emitted', function (t) {
-  let emitted = false
-  const chopper = new StreamChopper({
-    size: 4,
-    type: StreamChopper.overflow
-  })
-  chopper.on('stream', function (stream, next) {
-    t.equal(emitted, false)
-    emitted = true
-    stream.resume()
-  })
-  chopper.write('hello') // indirect chop
-  chopper.end('world') // indirect chop
-  setTimeout(function () {
-    t.end()
-  }, 100)
-})
+test('write with several records per chunk and type:boundary', function (t) {
+  const streams = [
+    ['aaa\nbbb\n'],
+    ['ccc\n', 'dd\n'],
+    ['eeeeee\n']
+  ]
 
-test('call next() with error', function (t) {
-  t.plan(1)
-  const err = new Error('foo')
-  const chopper = new StreamChopper()
-  chopper.on('stream', function (stream, next) {
-    next(err)
-  })
-  chopper.on('error', function (_err) {
-    t.equal(_err, err)
-  })
-  chopper.on('close', function () {
-    t.end()
-  })
-  chopper.write('hello')
-})
+  const chopper = new StreamChopper({ size: 10, type: StreamChopper.boundary })
 
-test('chopper.destroy() - synchronously during write', function (t) {
-  const chopper = new StreamChopper()
-  chopper.on('stream', function (stream, next) {
-    // this event is emitted synchronously during the chopper.write call below
-    chopper.destroy()
-  })
-  chopper.on('error', function (err) {
-    t.error(err)
-  })
-  chopper.on('close', function () {
-    t.end()
-  })
-  chopper.write('hello')
+  chopper.on('stream', assertChunks(t, streams))
+
+  chopper.write('aaa\nbbb\nccc\n')
+  chopper.write('dd\neeeeee\n')
+  chopper.end()
 })
 
-test('chopper.destroy() - active stream', function (t) {
-  t.plan(2)
+test('write with record larger than size and type:boundary', function (t) {
+  const streams = [
+    ['hello world\n'],
+    ['foo\n']
+  ]
 
-  const chopper = new StreamChopper()
+  const chopper = new StreamChopper({ size: 5, type: StreamChopper.boundary })
 
-  chopper.on('stream', function (stream, next) {
-    stream.on('data', function (chunk) {
-      t.equal(chunk.toString(), 'hello', 'stream should get data')
-    })
-    stream.on('error', function (err) {
-      t.error(err, 'error on the stream')
-    })
-    stream.on('close', function () {
-      t.pass('stream should close')
-      next()
-    })
-  })
+  chopper.on('stream', assertChunks(t, streams))
 
-  chopper.on('close', function () {
-    t.end()
-  })
+  chopper.write('hello world\nfoo\n')
+  chopper.end()
+})
 
-  chopper.on('error', function (err) {
-    t.error(err, 'error on the chopper')
-  })
+test('write with record spanning several chunks and type:boundary', function (t) {
+  const streams = [
+    ['ab\n'],
+    ['cdefghi\n'],
+    ['jk\n']
+  ]
 
-  chopper.write('hello')
-  chopper.destroy()
+  const chopper = new StreamChopper({ size: 5, type: StreamChopper.boundary })
+
+  chopper.on('stream', assertChunks(t, streams))
+
+  chopper.write('ab\n')
+  chopper.write('cdefg')
+  chopper.write('hi\njk\n')
+  chopper.end()
 })
 
-test('chopper.destroy(err) - active stream', function (t) {
-  t.plan(3)
+test('write with record larger than size spanning several chunks and type:boundary', function (t) {
+  const streams = [
+    ['ab\n'],
+    ['cdefgh', 'i\n'],
+    ['jk\n']
+  ]
 
-  const err = new Error('foo')
-  const chopper = new StreamChopper()
+  const chopper = new StreamChopper({ size: 5, type: StreamChopper.boundary })
 
-  chopper.on('stream', function (stream, next) {
-    stream.on('data', function (chunk) {
-      t.equal(chunk.toString(), 'hello', 'stream should get data')
-    })
-    stream.on('error', function (err) {
-      t.error(err)
-    })
-    stream.on('close', function () {
-      t.pass('stream should close')
-      next()
-    })
-  })
+  chopper.on('stream', assertChunks(t, streams))
 
-  chopper.on('close', function () {
-    t.end()
-  })
+  chopper.write('ab\n')
+  chopper.write('cdefgh')
+  chopper.write('i\njk\n')
+  chopper.end()
+})
 
-  chopper.on('error', function (_err) {
-    t.equal(_err, err)
-  })
-
-  chopper.write('hello')
-  chopper.destroy(err)
-})
-
-test('chopper.destroy() - no active stream', function (t) {
-  t.plan(3)
+test('write with record spanning a chunk boundary within size and type:boundary', function (t) {
+  const chopper = new StreamChopper({ size: 10, type: StreamChopper.boundary })
 
-  const chopper = new StreamChopper({
-    size: 4,
-    type: StreamChopper.overflow
-  })
+  chopper.on('stream', assertData(t, [
+    'aaaa\n',
+    'bbbbbbbb\n'
+  ]))
 
-  chopper.on('stream', function (stream, next) {
-    stream.on('data', function (chunk) {
-      t.equal(chunk.toString(), 'hello', 'stream should get data')
-    })
-    stream.on('error', function (err) {
-      t.error(err, 'error on the stream')
-    })
-    stream.on('end', function () {
-      t.pass('stream should end')
-      next()
-    })
-  })
+  chopper.write('aaaa\nbb')
+  chopper.end('bbbbbb\n')
+})
 
-  chopper.on('close', function () {
-    t.pass('chopper should close')
-    t.end()
-  })
+test('write with last record not ending with delimiter and type:boundary', function (t) {
+  const chopper = new StreamChopper({ size: 10, type: StreamChopper.boundary })
 
-  chopper.on('error', function (err) {
-    t.error(err, 'error on the chopper')
-  })
+  chopper.on('stream', assertData(t, [
+    'aaaa\nbb'
+  ]))
 
-  chopper.write('hello') // force chop to make sure there's no active stream
-  chopper.destroy()
+  chopper.write('aaaa\n')
+  chopper.end('bb')
 })
 
-test('chopper.destroy(err) - no active stream', function (t) {
-  t.plan(4)
+test('write with custom delimiter and type:boundary', function (t) {
+  const streams = [
+    ['foo||'],
+    ['bar||']
+  ]
 
-  const err = new Error('foo')
   const chopper = new StreamChopper({
-    size: 4,
-    type: StreamChopper.overflow
+    size: 6,
+    type: StreamChopper.boundary,
+    delimiter: '||'
   })
 
-  chopper.on('stream', function (stream, next) {
-    stream.on('data', function (chunk) {
-      t.equal(chunk.toString(), 'hello', 'stream should get data')
-    })
-    stream.on('error', function (err) {
-      t.error(err, 'error on the stream')
-    })
-    stream.on('end', function () {
-      t.pass('stream should end')
-      next()
-    })
-  })
+  chopper.on('stream', assertChunks(t, streams))
 
-  chopper.on('close', function () {
-    t.pass('chopper should close')
-    t.end()
-  })
+  chopper.write('foo||bar||')
+  chopper.end()
+})
 
-  chopper.on('error', function (_err) {
-    t.equal(_err, err)
-  })
+test('maxItems', function (t) {
+  const streams = [
+    ['a', 'b'],
+    ['c', 'd'],
+    ['e']
+  ]
 
-  chopper.write('hello') // force chop to make sure there's no active stream
-  chopper.destroy(err)
-})
+  const chopper = new StreamChopper({ maxItems: 2 })
 
-test('chopper.chop(callback)', function (t) {
-  t.plan(8)
+  chopper.on('stream', assertChunks(t, streams))
+
+  chopper.write('a')
+  chopper.write('b')
+  chopper.write('c')
+  chopper.write('d')
+  chopper.end('e')
+})
 
+test('objectMode: maxItems', function (t) {
+  const streams = [
+    [{ n: 1 }, { n: 2 }, { n: 3 }],
+    [{ n: 4 }, { n: 5 }]
+  ]
   let emits = 0
-  const chunks = ['hello', 'world']
-  const chopper = new StreamChopper()
+
+  const chopper = new StreamChopper({ objectMode: true, maxItems: 3 })
+
+  t.equal(chopper.type, StreamChopper.overflow, 'should default to overflow')
 
   chopper.on('stream', function (stream, next) {
     const emit = ++emits
-    stream.on('data', function (chunk) {
-      t.equal(emit, emits, 'should finish streaming current stream before emitting the next')
-      t.equal(chunk.toString(), chunks.shift())
-    })
+    const expected = streams.shift()
+    const objects = []
+
+    stream.on('data', objects.push.bind(objects))
     stream.on('end', function () {
-      t.equal(emit, emits, 'should end current stream before emitting the next')
-      t.pass(`stream ${emit} ended`)
+      t.deepEqual(objects, expected, `stream ${emit} should contain expected objects`)
       next()
       if (emit === 2) t.end()
     })
   })
 
-  chopper.write('hello')
-  chopper.chop(function () {
-    chopper.write('world')
-    chopper.end()
-  })
-})
-
-test('chopper.chop(callback) - on destroyed stream', function (t) {
-  const chopper = new StreamChopper()
-  chopper.destroy()
-  chopper.chop(function () {
-    t.end()
-  })
+  for (let n = 1; n <= 5; n++) chopper.write({ n })
+  chopper.end()
 })
 
-test('chopper.chop()', function (t) {
-  t.plan(8)
-
+test('objectMode: size with custom measure function', function (t) {
+  const streams = [
+    ['foo', 'bar'],
+    ['hello world'],
+    ['baz']
+  ]
   let emits = 0
-  const chunks = ['hello', 'world']
-  const chopper = new StreamChopper()
+
+  const chopper = new StreamChopper({
+    objectMode: true,
+    size: 6,
+    measure (obj) {
+      return obj.str.length
+    }
+  })
 
   chopper.on('stream', function (stream, next) {
     const emit = ++emits
-    stream.on('data', function (chunk) {
-      t.equal(emit, emits, 'should finish streaming current stream before emitting the next')
-      t.equal(chunk.toString(), chunks.shift())
+    const expected = streams.shift()
+    const strings = []
+
+    stream.on('data', function (obj) {
+      strings.push(obj.str)
     })
     stream.on('end', function () {
-      t.equal(emit, emits, 'should end current stream before emitting the next')
-      t.pass(`stream ${emit} ended`)
+      t.deepEqual(strings, expected, `stream ${emit} should contain expected objects`)
       next()
-      if (emit === 2) t.end()
+      if (emit === 3) t.end()
     })
   })
 
-  chopper.write('hello')
-  chopper.chop()
-  chopper.write('world')
+  chopper.write({ str: 'foo' })
+  chopper.write({ str: 'bar' })
+  chopper.write({ str: 'hello world' })
+  chopper.end({ str: 'baz' })
+})
+
+test('custom measure function and type:split', function (t) {
+  const streams = [
+    ['æøå'],
+    ['æø']
+  ]
+
+  const chopper = new StreamChopper({
+    size: 3,
+    type: StreamChopper.split,
+    measure (chunk) {
+      return chunk.toString().length // count characters instead of bytes
+    }
+  })
+
+  chopper.on('stream', assertChunks(t, streams))
+
+  chopper.write('æøåæø')
   chopper.end()
 })
 
-test('chopper.chop() - twice with no write in between', function (t) {
-  t.plan(8)
+test('custom measure function and type:overflow', function (t) {
+  const streams = [
+    ['a\n', 'b\nc\n'],
+    ['d\n']
+  ]
 
-  let emits = 0
-  const chunks = ['hello', 'world']
-  const chopper = new StreamChopper()
+  const chopper = new StreamChopper({
+    size: 2,
+    type: StreamChopper.overflow,
+    measure (chunk) {
+      return chunk.toString().split('\n').length - 1 // count lines
+    }
+  })
 
-  chopper.on('stream', function (stream, next) {
-    const emit = ++emits
-    stream.on('data', function (chunk) {
-      t.equal(emit, emits, 'should finish streaming current stream before emitting the next')
-      t.equal(chunk.toString(), chunks.shift())
-    })
-    stream.on('end', function () {
-      t.equal(emit, emits, 'should end current stream before emitting the next')
-      t.pass(`stream ${emit} ended`)
-      next()
-      if (emit === 2) t.end()
-    })
+  chopper.on('stream', assertChunks(t, streams))
+
+  chopper.write('a\n')
+  chopper.write('b\nc\n')
+  chopper.end('d\n')
+})
+
+test('custom measure function and type:boundary', function (t) {
+  const streams = [
+    ['æø\n'],
+    ['å\n']
+  ]
+
+  const chopper = new StreamChopper({
+    size: 4,
+    type: StreamChopper.boundary,
+    measure (chunk) {
+      return chunk.toString().length // count characters instead of bytes
+    }
   })
 
-  chopper.write('hello')
-  chopper.chop()
-  chopper.chop()
-  chopper.write('world')
+  chopper.on('stream', assertChunks(t, streams))
+
+  chopper.write('æø\nå\n')
   chopper.end()
 })
 
-test('chopper.chop() - twice with write in between', function (t) {
-  t.plan(8)
+test('transform: custom measure function', function (t) {
+  const measured = []
 
-  let emits = 0
-  const chunks = ['hello', 'world']
-  const chopper = new StreamChopper()
+  const chopper = new StreamChopper({
+    type: StreamChopper.overflow,
+    measure (chunk) {
+      measured.push(chunk.toString())
+      return chunk.length
+    },
+    transform () {
+      return new Transform({
+        transform (chunk, enc, cb) {
+          cb(null, chunk.toString().toUpperCase())
+        }
+      })
+    }
+  })
 
   chopper.on('stream', function (stream, next) {
-    const emit = ++emits
-    stream.on('data', function (chunk) {
-      t.equal(emit, emits, 'should finish streaming current stream before emitting the next')
-      t.equal(chunk.toString(), chunks.shift())
-    })
+    stream.resume()
     stream.on('end', function () {
-      t.equal(emit, emits, 'should end current stream before emitting the next')
-      t.pass(`stream ${emit} ended`)
+      t.ok(measured.indexOf('BAR') !== -1, 'should measure transformed chunks')
       next()
-      if (emit === 2) {
-        t.end()
-        chopper.destroy()
-      }
+      t.end()
     })
   })
 
-  chopper.write('hello')
-  chopper.chop()
-  chopper.write('world')
-  chopper.chop()
+  chopper.write('foo')
+  setImmediate(function () {
+    chopper.end('bar')
+  })
 })
 
-test('should not chop if no size is given', function (t) {
-  const bigString = new Array(10000).join('hello ')
-  const totalWrites = 1000
-  let emitted = false
+test('header and footer', function (t) {
+  const expected = [
+    'h\n11\n22\nf\n',
+    'h\n33\nf\n'
+  ]
 
-  t.plan(totalWrites)
+  const chopper = new StreamChopper({
+    size: 10,
+    type: StreamChopper.boundary,
+    header: 'h\n',
+    footer: Buffer.from('f\n')
+  })
 
-  const chopper = new StreamChopper()
+  chopper.on('stream', assertData(t, expected))
 
-  chopper.on('stream', function (stream, next) {
-    if (emitted) t.fail('should not emit stream more than once')
-    emitted = true
-    stream.on('data', function (chunk) {
-      t.equal(chunk.toString(), bigString)
-    })
-    next()
+  chopper.write('11\n22\n33\n')
+  chopper.end()
+})
+
+test('header and footer - functions', function (t) {
+  const expected = [
+    '[0:hello]',
+    '[1:world]'
+  ]
+
+  const chopper = new StreamChopper({
+    header (info) {
+      return `[${info.seq}:`
+    },
+    footer () {
+      return ']'
+    }
   })
 
-  for (let n = 0; n < totalWrites; n++) {
-    chopper.write(bigString)
-  }
-})
+  chopper.on('stream', assertData(t, expected))
 
-test('should not chop if no time is given', function (t) {
-  setTimeout(function () {
-    t.end()
-  }, 100)
+  chopper.write('hello')
+  chopper.chop(function () {
+    chopper.end('world')
+  })
+})
 
-  const origSetTimeout = global.setTimeout
-  global.setTimeout = function () {
-    t.fail('should not set a timeout')
-  }
-  t.on('end', function () {
-    global.setTimeout = origSetTimeout
+test('header and footer - type:underflow with chunk larger than available size', function (t) {
+  const chopper = new StreamChopper({
+    size: 6,
+    type: StreamChopper.underflow,
+    header: '[',
+    footer: ']'
   })
 
-  const chopper = new StreamChopper()
   chopper.on('stream', function (stream, next) {
     stream.resume()
     next()
   })
-  chopper.write('test')
+
+  chopper.on('error', function (err) {
+    t.equal(err.message, 'Cannot write 5 byte chunk - only 4 available')
+    t.end()
+  })
+
+  chopper.write('hello')
 })
 
-test('should chop when timeout occurs', function (t) {
-  const chopper = new StreamChopper({ time: 50 })
-  chopper.on('stream', assertOnStream(t, 2))
-  chopper.write('hello world 1')
-  setTimeout(function () {
-    chopper.write('hello world 2')
-    chopper.end()
-  }, 100)
-})
+test('transform: header and footer', function (t) {
+  const chopper = new StreamChopper({
+    type: StreamChopper.overflow,
+    header: '[',
+    footer: ']',
+    transform () {
+      return zlib.createGzip()
+    }
+  })
 
-test('handle backpressure when current stream is full, but next() haven\'t been called yet', function (t) {
-  t.plan(4)
+  chopper.on('stream', function (stream, next) {
+    const chunks = []
+    stream.on('data', chunks.push.bind(chunks))
+    stream.on('end', function () {
+      t.equal(zlib.gunzipSync(Buffer.concat(chunks)).toString(), '[hello]')
+      next()
+      t.end()
+    })
+  })
 
-  const chunks = ['foo', 'bar', 'baz']
-  let emits = 0
-  let firstNext
+  chopper.end('hello')
+})
 
+test('if next() is not called, next stream should not be emitted', function (t) {
+  let emitted = false
   const chopper = new StreamChopper({
-    size: 2,
+    size: 4,
     type: StreamChopper.overflow
   })
+  chopper.on('stream', function (stream, next) {
+    t.equal(emitted, false)
+    emitted = true
+    stream.resume()
+  })
+  chopper.write('hello') // indirect chop
+  chopper.end('world') // indirect chop
+  setTimeout(function () {
+    t.end()
+  }, 100)
+})
 
+test('call next() with error', function (t) {
+  t.plan(1)
+  const err = new Error('foo')
+  const chopper = new StreamChopper()
   chopper.on('stream', function (stream, next) {
-    const emit = ++emits
-    const expected = chunks.shift()
+    next(err)
+  })
+  chopper.on('error', function (_err) {
+    t.equal(_err, err)
+  })
+  chopper.on('close', function () {
+    t.end()
+  })
+  chopper.write('hello')
+})
 
-    if (emit === 1) firstNext = next
+test('call next() with error and maxRetries', function (t) {
+  const err = new Error('foo')
+  const expected = [
+    { seq: 0, attempt: 0, data: 'hello' },
+    { seq: 0, attempt: 1, data: 'hello' },
+    { seq: 0, attempt: 2, data: 'hello' },
+    { seq: 1, attempt: 0, data: 'world' }
+  ]
+  let retries = 0
 
-    stream.on('data', function (chunk) {
-      t.equal(chunk.toString(), expected)
-    })
+  const chopper = new StreamChopper({ size: 5, maxRetries: 2, retryDelay: 10 })
 
+  chopper.on('stream', function (stream, next, info) {
+    const exp = expected.shift()
+    const chunks = []
+    t.equal(info.seq, exp.seq, 'should have expected seq')
+    t.equal(info.attempt, exp.attempt, 'should have expected attempt')
+    stream.on('data', chunks.push.bind(chunks))
     stream.on('end', function () {
-      if (emit > 1) next()
-      if (emit === 3) t.end()
+      t.equal(Buffer.concat(chunks).toString(), exp.data, `should get '${exp.data}'`)
+      if (info.seq === 0 && info.attempt < 2) {
+        next(err)
+      } else {
+        next()
+        if (info.seq === 1) {
+          t.equal(retries, 2, 'should emit retry event for each retry')
+          const stats = chopper.stats()
+          t.equal(stats.bytesIn, 20, 'should count the bytes written to retries')
+          t.equal(stats.bytesOut, 20, 'should count the bytes emitted by retries')
+          t.end()
+        }
+      }
     })
   })
 
-  chopper.write('foo') // indirect chop
-  chopper.write('bar') // indirect chop
-  chopper.end('baz') // indirect chop
+  chopper.on('retry', function (_err, info) {
+    t.equal(_err, err)
+    t.equal(info.attempt, retries++)
+  })
 
-  t.equal(emits, 1, 'should only have emitted the first stream')
+  chopper.on('error', function (err) {
+    t.error(err)
+  })
 
-  firstNext()
+  chopper.write('hello')
+  chopper.end('world')
 })
 
-test('output stream destroyed by user', function (t) {
+test('call next() with error and maxRetries - retries exhausted', function (t) {
+  t.plan(3)
+
+  const err = new Error('foo')
+  const chopper = new StreamChopper({ maxRetries: 1, retryDelay: 10 })
+
+  chopper.on('stream', function (stream, next, info) {
+    t.pass(`should emit attempt ${info.attempt}`)
+    stream.resume()
+    stream.on('end', function () {
+      next(err)
+    })
+  })
+
+  chopper.on('error', function (_err) {
+    t.equal(_err, err)
+  })
+
+  chopper.end('hello')
+})
+
+test('call next() with error and maxRetries - not retryable', function (t) {
   t.plan(2)
 
-  let emits = 0
-  const chopper = new StreamChopper()
+  const err = new Error('foo')
+  const chopper = new StreamChopper({
+    maxRetries: 1,
+    retryable (_err) {
+      t.equal(_err, err)
+      return false
+    }
+  })
 
   chopper.on('stream', function (stream, next) {
-    const emit = ++emits
+    next(err)
+  })
 
-    stream.on('data', function (chunk) {
-      t.equal(chunk.toString(), 'hello', 'stream should get data')
-      stream.destroy() // force output stream to end unexpectedly
-    })
-    stream.on('close', function () {
-      t.pass(`stream ${emit} closed`)
-      next()
-      t.end()
-    })
+  chopper.on('error', function (_err) {
+    t.equal(_err, err)
   })
 
   chopper.write('hello')
 })
 
-test('output stream destroyed by user followed by chopper.write() when stream emits end', function (t) {
-  t.plan(4)
+test('call next() with error and maxRetries - stream too big to retry', function (t) {
+  t.plan(3)
 
-  let emits = 0
-  const chunks = ['hello', 'world']
-  const chopper = new StreamChopper()
+  const err = new Error('foo')
+  const chopper = new StreamChopper({ maxRetries: 1, retryBufferSize: 4 })
 
-  chopper.on('stream', function (stream, next) {
-    const emit = ++emits
+  chopper.on('unretryable', function (info) {
+    t.equal(info.seq, 0, 'should emit unretryable for the output stream')
+    t.equal(info.bytesIn, 5, 'should emit unretryable once the limit is exceeded')
+  })
 
-    stream.on('data', function (chunk) {
-      t.equal(chunk.toString(), chunks.shift())
-      if (emit === 1) stream.destroy() // force output stream to end unexpectedly
-    })
-    stream.on('close', function () {
-      t.equal(emit, 1, 'stream 1 should close')
-      next()
-      chopper.end('world') // start writing before stream have emitted finish
-    })
+  chopper.on('stream', function (stream, next) {
+    stream.resume()
     stream.on('end', function () {
-      t.equal(emit, 2, 'stream 2 should end')
-      t.end()
+      next(err)
     })
   })
 
+  chopper.on('error', function (_err) {
+    t.equal(_err, err)
+  })
+
   chopper.write('hello')
+  chopper.end('world')
 })
 
-test('output stream destroyed by user followed directly by chopper.write()', function (t) {
-  t.plan(14)
-
-  let emits = 0
-  const streams = [
-    ['foo'],
-    ['bar', 'b'],
-    ['az']
+test('call next() with error and maxRetries - before the stream has ended', function (t) {
+  const err = new Error('foo')
+  const expected = [
+    { seq: 0, attempt: 0, data: 'aaa' },
+    { seq: 0, attempt: 1, data: 'aaa' },
+    { seq: 1, attempt: 0, data: 'bbbccc' }
   ]
-  const chopper = new StreamChopper({ size: 4 })
 
-  chopper.on('stream', function (stream, next) {
-    const emit = ++emits
-    const chunks = streams.shift()
-    t.ok(chunks)
+  const chopper = new StreamChopper({ maxRetries: 1, retryDelay: 10 })
 
-    stream.on('data', function (chunk) {
-      const expected = chunks.shift()
-      t.ok(expected)
-      t.equal(chunk.toString(), expected, `should get '${expected}'`)
-      if (emit === 1) {
-        stream.destroy() // force output stream to end unexpectedly
-        chopper.write('bar') // start writing while stream is in the process of being destroyed
-        chopper.end('baz') // start writing while stream is locked
-      }
-    })
-    stream.on('close', function () {
-      t.equal(emit, 1, 'stream 1 should close')
-      next()
-    })
+  chopper.on('stream', function (stream, next, info) {
+    const exp = expected.shift()
+    const chunks = []
+    t.equal(info.seq, exp.seq, 'should have expected seq')
+    t.equal(info.attempt, exp.attempt, 'should have expected attempt')
+    stream.on('data', chunks.push.bind(chunks))
     stream.on('end', function () {
-      t.ok(emit > 1, `stream 1 shouldn't end (was stream ${emit}`)
+      t.equal(Buffer.concat(chunks).toString(), exp.data, `should get '${exp.data}'`)
+      if (info.attempt === 0 && info.seq === 0) return
       next()
-      if (emit === 3) t.end()
+      if (info.seq === 1) t.end()
     })
+
+    if (info.attempt === 0 && info.seq === 0) {
+      // give up on the stream before it has ended
+      setTimeout(function () {
+        next(err)
+        t.equal(info.reason, 'error', 'should end the failed stream')
+        chopper.write('bbb')
+        chopper.end('ccc')
+      }, 5)
+    }
   })
 
-  chopper.write('foo')
-})
+  chopper.on('error', function (err) {
+    t.error(err)
+  })
 
-test('change size midflight', function (t) {
-  t.plan(12)
+  chopper.write('aaa')
+})
 
-  let emits = 0
-  const streams = [
-    ['foo'],
-    ['bar'],
-    ['foobar']
-  ]
+test('call next() with error and maxRetries - default retry buffer size without size', function (t) {
+  t.plan(1)
 
-  const chopper = new StreamChopper({ size: 3 })
+  const err = new Error('foo')
+  const chopper = new StreamChopper({ maxRetries: 1 })
 
   chopper.on('stream', function (stream, next) {
-    const emit = ++emits
-    const chunks = streams.shift()
-    t.ok(chunks, `stream ${emit} should be expected`)
+    stream.resume()
+    stream.on('end', function () {
+      next(err)
+    })
+  })
 
-    stream.on('data', function (chunk) {
-      const expected = chunks.shift()
-      t.ok(expected, `chunk event should be expected on stream ${emit}`)
-      t.equal(chunk.toString(), expected, `should get '${expected}'`)
-      if (emit === 2) {
-        chopper.size = 6
-        chopper.write('foobar')
-        chopper.end()
+  chopper.on('error', function (_err) {
+    t.equal(_err, err, 'should not be able to retry a stream larger than 1 MiB')
+  })
+
+  chopper.write(Buffer.alloc(1024 * 1024))
+  chopper.end(Buffer.alloc(1))
+})
+
+test('transform: call next() with error and maxRetries - default retry buffer size', function (t) {
+  const lines = []
+  for (let n = 0; n < 40; n++) lines.push(`${new Date(0).toISOString()} INFO request ${n} handled\n`)
+  const data = lines.join('')
+  let retried = false
+
+  const chopper = new StreamChopper({
+    size: 1000,
+    maxRetries: 2,
+    retryDelay: 1,
+    transform () {
+      return zlib.createGzip()
+    }
+  })
+
+  chopper.on('unretryable', function () {
+    t.fail('should be able to retry the output stream')
+  })
+
+  chopper.on('stream', function (stream, next, info) {
+    readAll(stream.pipe(zlib.createGunzip()), function (err, str) {
+      t.error(err)
+      t.equal(str, data, `attempt ${info.attempt} should contain all the data`)
+      if (info.attempt === 0) {
+        next(new Error('foo'))
+        return
       }
+      retried = true
+      next()
     })
+  })
+
+  chopper.on('error', t.error)
+
+  t.ok(Buffer.byteLength(data) > 1000, 'should write more than size bytes before the transform')
+  chopper.write(data)
+  chopper.close().then(function () {
+    t.ok(retried, 'should retry the output stream')
+    t.end()
+  })
+})
+
+test('transform: call next() with error and maxRetries', function (t) {
+  const err = new Error('foo')
+  const chopper = new StreamChopper({
+    type: StreamChopper.overflow,
+    maxRetries: 1,
+    retryDelay: 10,
+    retryBufferSize: 1024,
+    transform () {
+      return zlib.createGzip()
+    }
+  })
+
+  chopper.on('stream', function (stream, next, info) {
+    const chunks = []
+    stream.on('data', chunks.push.bind(chunks))
     stream.on('end', function () {
-      t.pass(`stream ${emit} ended`)
-      next()
-      if (emit === 3) t.end()
+      const data = zlib.gunzipSync(Buffer.concat(chunks)).toString()
+      t.equal(data, 'hello world', `attempt ${info.attempt} should contain all data`)
+      t.equal(info.bytesOut, Buffer.concat(chunks).length, 'should count transformed bytes')
+      if (info.attempt === 0) {
+        next(err)
+      } else {
+        next()
+        t.end()
+      }
     })
   })
 
-  chopper.write('foobar')
+  chopper.write('hello')
+  chopper.end(' world')
+})
+
+test('chopper.destroy() - synchronously during write', function (t) {
+  const chopper = new StreamChopper()
+  chopper.on('stream', function (stream, next) {
+    // this event is emitted synchronously during the chopper.write call below
+    chopper.destroy()
+  })
+  chopper.on('error', function (err) {
+    t.error(err)
+  })
+  chopper.on('close', function () {
+    t.end()
+  })
+  chopper.write('hello')
+})
+
+test('chopper.destroy() - active stream', function (t) {
+  t.plan(2)
+
+  const chopper = new StreamChopper()
+
+  chopper.on('stream', function (stream, next) {
+    stream.on('data', function (chunk) {
+      t.equal(chunk.toString(), 'hello', 'stream should get data')
+    })
+    stream.on('error', function (err) {
+      t.error(err, 'error on the stream')
+    })
+    stream.on('close', function () {
+      t.pass('stream should close')
+      next()
+    })
+  })
+
+  chopper.on('close', function () {
+    t.end()
+  })
+
+  chopper.on('error', function (err) {
+    t.error(err, 'error on the chopper')
+  })
+
+  chopper.write('hello')
+  chopper.destroy()
+})
+
+test('chopper.destroy(err) - active stream', function (t) {
+  t.plan(3)
+
+  const err = new Error('foo')
+  const chopper = new StreamChopper()
+
+  chopper.on('stream', function (stream, next) {
+    stream.on('data', function (chunk) {
+      t.equal(chunk.toString(), 'hello', 'stream should get data')
+    })
+    stream.on('error', function (err) {
+      t.error(err)
+    })
+    stream.on('close', function () {
+      t.pass('stream should close')
+      next()
+    })
+  })
+
+  chopper.on('close', function () {
+    t.end()
+  })
+
+  chopper.on('error', function (_err) {
+    t.equal(_err, err)
+  })
+
+  chopper.write('hello')
+  chopper.destroy(err)
+})
+
+test('chopper.destroy() - no active stream', function (t) {
+  t.plan(3)
+
+  const chopper = new StreamChopper({
+    size: 4,
+    type: StreamChopper.overflow
+  })
+
+  chopper.on('stream', function (stream, next) {
+    stream.on('data', function (chunk) {
+      t.equal(chunk.toString(), 'hello', 'stream should get data')
+    })
+    stream.on('error', function (err) {
+      t.error(err, 'error on the stream')
+    })
+    stream.on('end', function () {
+      t.pass('stream should end')
+      next()
+    })
+  })
+
+  chopper.on('close', function () {
+    t.pass('chopper should close')
+    t.end()
+  })
+
+  chopper.on('error', function (err) {
+    t.error(err, 'error on the chopper')
+  })
+
+  chopper.write('hello') // force chop to make sure there's no active stream
+  chopper.destroy()
+})
+
+test('chopper.destroy(err) - no active stream', function (t) {
+  t.plan(4)
+
+  const err = new Error('foo')
+  const chopper = new StreamChopper({
+    size: 4,
+    type: StreamChopper.overflow
+  })
+
+  chopper.on('stream', function (stream, next) {
+    stream.on('data', function (chunk) {
+      t.equal(chunk.toString(), 'hello', 'stream should get data')
+    })
+    stream.on('error', function (err) {
+      t.error(err, 'error on the stream')
+    })
+    stream.on('end', function () {
+      t.pass('stream should end')
+      next()
+    })
+  })
+
+  chopper.on('close', function () {
+    t.pass('chopper should close')
+    t.end()
+  })
+
+  chopper.on('error', function (_err) {
+    t.equal(_err, err)
+  })
+
+  chopper.write('hello') // force chop to make sure there's no active stream
+  chopper.destroy(err)
+})
+
+test('chopper.chop(callback)', function (t) {
+  t.plan(8)
+
+  let emits = 0
+  const chunks = ['hello', 'world']
+  const chopper = new StreamChopper()
+
+  chopper.on('stream', function (stream, next) {
+    const emit = ++emits
+    stream.on('data', function (chunk) {
+      t.equal(emit, emits, 'should finish streaming current stream before emitting the next')
+      t.equal(chunk.toString(), chunks.shift())
+    })
+    stream.on('end', function () {
+      t.equal(emit, emits, 'should end current stream before emitting the next')
+      t.pass(`stream ${emit} ended`)
+      next()
+      if (emit === 2) t.end()
+    })
+  })
+
+  chopper.write('hello')
+  chopper.chop(function () {
+    chopper.write('world')
+    chopper.end()
+  })
+})
+
+test('chopper.chop(callback) - on destroyed stream', function (t) {
+  const chopper = new StreamChopper()
+  chopper.destroy()
+  chopper.chop(function () {
+    t.end()
+  })
+})
+
+test('chopper.chop()', function (t) {
+  t.plan(8)
+
+  let emits = 0
+  const chunks = ['hello', 'world']
+  const chopper = new StreamChopper()
+
+  chopper.on('stream', function (stream, next) {
+    const emit = ++emits
+    stream.on('data', function (chunk) {
+      t.equal(emit, emits, 'should finish streaming current stream before emitting the next')
+      t.equal(chunk.toString(), chunks.shift())
+    })
+    stream.on('end', function () {
+      t.equal(emit, emits, 'should end current stream before emitting the next')
+      t.pass(`stream ${emit} ended`)
+      next()
+      if (emit === 2) t.end()
+    })
+  })
+
+  chopper.write('hello')
+  chopper.chop()
+  chopper.write('world')
+  chopper.end()
+})
+
+test('chopper.chop() - returns promise', function (t) {
+  const chopper = new StreamChopper()
+
+  chopper.on('stream', function (stream, next) {
+    stream.resume()
+    next()
+  })
+
+  chopper.write('hello')
+  chopper.chop().then(function () {
+    t.equal(chopper._stream, null, 'should have ended the stream')
+    t.end()
+  })
+})
+
+test('chopper.flush()', function (t) {
+  let released = false
+  const chopper = new StreamChopper({ minSize: 100 })
+
+  chopper.on('stream', function (stream, next) {
+    stream.resume()
+    stream.on('end', function () {
+      setTimeout(function () {
+        released = true
+        next()
+      }, 50)
+    })
+  })
+
+  chopper.write('hello')
+  chopper.flush().then(function () {
+    t.equal(released, true, 'should resolve after next() has been called')
+    chopper.destroy()
+    t.end()
+  })
+})
+
+test('chopper.flush() - destroyed before next() is called', function (t) {
+  const chopper = new StreamChopper()
+
+  chopper.on('stream', function (stream, next) {
+    stream.resume()
+    stream.on('end', function () {
+      chopper.destroy()
+    })
+  })
+
+  chopper.write('hello')
+  chopper.flush().then(function () {
+    t.fail('should not resolve')
+  }, function (err) {
+    t.equal(err.message, 'stream-chopper was destroyed before next was called for all output streams')
+    t.end()
+  })
+})
+
+test('chopper.chop() - destroyed while locked', function (t) {
+  const chopper = new StreamChopper({ size: 5 })
+
+  chopper.on('stream', function (stream) {
+    stream.resume()
+  })
+
+  // the first stream is never released, so the chopper is locked
+  chopper.write('hello')
+  chopper.write('world')
+
+  setTimeout(function () {
+    chopper.chop().then(function () {
+      t.pass('should resolve')
+      t.end()
+    })
+    chopper.destroy()
+  }, 10)
+})
+
+test('chopper.close()', function (t) {
+  let released = 0
+  const chopper = new StreamChopper({ size: 5 })
+
+  chopper.on('stream', function (stream, next) {
+    stream.resume()
+    stream.on('end', function () {
+      setTimeout(function () {
+        released++
+        next()
+      }, 50)
+    })
+  })
+
+  chopper.write('hello')
+  chopper.write('world')
+  chopper.write('!')
+  chopper.close().then(function (stats) {
+    t.equal(released, 3, 'should resolve after next() has been called for all streams')
+    t.equal(stats.delivered, 3, 'should resolve with stats')
+    t.equal(stats.bytesIn, 11, 'should resolve with stats')
+    return chopper.close()
+  }).then(function (stats) {
+    t.equal(stats.delivered, 3, 'should resolve if called again')
+    t.end()
+  })
+})
+
+test('chopper.close({ timeout })', function (t) {
+  const chopper = new StreamChopper()
+
+  chopper.on('stream', function (stream, next) {
+    stream.resume() // never call next()
+  })
+
+  chopper.write('hello')
+  chopper.close({ timeout: 50 }).then(function () {
+    t.fail('should not resolve')
+  }, function (err) {
+    t.equal(err.message, 'stream-chopper could not close within 50ms')
+    t.equal(chopper.destroyed, true, 'should destroy the chopper')
+    t.end()
+  })
+})
+
+test('chopper.close() - destroyed with error', function (t) {
+  const err = new Error('foo')
+  const chopper = new StreamChopper()
+
+  chopper.on('stream', function (stream, next) {
+    stream.resume()
+    stream.on('end', function () {
+      next(err)
+    })
+  })
+
+  chopper.write('hello')
+  chopper.close().then(function () {
+    t.fail('should not resolve')
+  }, function (_err) {
+    t.equal(_err, err)
+    t.end()
+  })
+})
+
+test('chopper.chop() - twice with no write in between', function (t) {
+  t.plan(8)
+
+  let emits = 0
+  const chunks = ['hello', 'world']
+  const chopper = new StreamChopper()
+
+  chopper.on('stream', function (stream, next) {
+    const emit = ++emits
+    stream.on('data', function (chunk) {
+      t.equal(emit, emits, 'should finish streaming current stream before emitting the next')
+      t.equal(chunk.toString(), chunks.shift())
+    })
+    stream.on('end', function () {
+      t.equal(emit, emits, 'should end current stream before emitting the next')
+      t.pass(`stream ${emit} ended`)
+      next()
+      if (emit === 2) t.end()
+    })
+  })
+
+  chopper.write('hello')
+  chopper.chop()
+  chopper.chop()
+  chopper.write('world')
+  chopper.end()
+})
+
+test('chopper.chop() - twice with write in between', function (t) {
+  t.plan(8)
+
+  let emits = 0
+  const chunks = ['hello', 'world']
+  const chopper = new StreamChopper()
+
+  chopper.on('stream', function (stream, next) {
+    const emit = ++emits
+    stream.on('data', function (chunk) {
+      t.equal(emit, emits, 'should finish streaming current stream before emitting the next')
+      t.equal(chunk.toString(), chunks.shift())
+    })
+    stream.on('end', function () {
+      t.equal(emit, emits, 'should end current stream before emitting the next')
+      t.pass(`stream ${emit} ended`)
+      next()
+      if (emit === 2) {
+        t.end()
+        chopper.destroy()
+      }
+    })
+  })
+
+  chopper.write('hello')
+  chopper.chop()
+  chopper.write('world')
+  chopper.chop()
+})
+
+test('chopper.chop() - postponed until minSize is reached', function (t) {
+  let chopped = false
+  const chopper = new StreamChopper({ minSize: 6 })
+
+  chopper.on('stream', function (stream, next, info) {
+    const chunks = []
+    stream.on('data', chunks.push.bind(chunks))
+    stream.on('end', function () {
+      t.equal(Buffer.concat(chunks).toString(), 'foobar')
+      t.equal(info.reason, 'manual')
+      next()
+    })
+  })
+
+  chopper.write('foo')
+  chopper.chop(function () {
+    chopped = true
+    chopper.destroy()
+    t.end()
+  })
+  setTimeout(function () {
+    t.equal(chopped, false, 'should not chop before minSize is reached')
+    chopper.write('bar')
+  }, 50)
+})
+
+test('chopper.chop({ force: true }) - bypass minSize', function (t) {
+  const chopper = new StreamChopper({ minSize: 6 })
+
+  chopper.on('stream', function (stream, next, info) {
+    const chunks = []
+    stream.on('data', chunks.push.bind(chunks))
+    stream.on('end', function () {
+      t.equal(Buffer.concat(chunks).toString(), 'foo')
+      t.equal(info.reason, 'manual')
+      next()
+    })
+  })
+
+  chopper.write('foo')
+  chopper.chop({ force: true }, function () {
+    chopper.destroy()
+    t.end()
+  })
+})
+
+test('timeout postponed until minTime is reached', function (t) {
+  const start = Date.now()
+  const chopper = new StreamChopper({ time: 50, minTime: 200 })
+
+  chopper.on('stream', function (stream, next, info) {
+    stream.resume()
+    stream.on('end', function () {
+      const diff = Date.now() - start
+      t.equal(info.reason, 'time')
+      t.ok(diff >= 200 && diff <= 400, `should end the stream witin a window of 200-400ms (was: ${diff})`)
+      clearTimeout(timer)
+      next()
+      chopper.destroy()
+      t.end()
+    })
+  })
+
+  // we need a timer on the event loop so the test doesn't exit too soon
+  const timer = setTimeout(function () {
+    t.fail('took too long')
+  }, 1000)
+
+  chopper.write('foo')
+})
+
+test('align', function (t) {
+  const hour = 60 * 60 * 1000
+  const boundary = Math.ceil(Date.now() / hour) * hour + hour
+  const start = Date.now()
+  const startClock = boundary - 100
+
+  // a clock running at half speed, which makes the timer fire too early
+  const chopper = new StreamChopper({
+    align: 'hour',
+    clock () {
+      return startClock + Math.floor((Date.now() - start) / 2)
+    }
+  })
+
+  chopper.on('stream', function (stream, next, info) {
+    stream.resume()
+    stream.on('end', function () {
+      t.equal(info.reason, 'time')
+      t.equal(info.created, startClock)
+      t.ok(info.ended >= boundary && info.ended < boundary + 50, `should end the stream at the boundary (was: ${info.ended - boundary})`)
+      clearTimeout(timer)
+      next()
+      chopper.destroy()
+      t.end()
+    })
+  })
+
+  // we need a timer on the event loop so the test doesn't exit too soon
+  const timer = setTimeout(function () {
+    t.fail('took too long')
+  }, 1000)
+
+  chopper.write('foo')
+})
+
+test('align: resetTimer(-1) does not disable alignment', function (t) {
+  const hour = 60 * 60 * 1000
+  const boundary = Math.ceil(Date.now() / hour) * hour + hour
+  const start = Date.now()
+  const startClock = boundary - 50
+
+  const chopper = new StreamChopper({
+    align: 'hour',
+    time: 10000,
+    clock () {
+      return startClock + Date.now() - start
+    }
+  })
+
+  chopper.on('stream', function (stream, next, info) {
+    stream.resume()
+    stream.on('end', function () {
+      t.equal(info.reason, 'time')
+      t.ok(info.ended >= boundary && info.ended < boundary + 50, `should end the stream at the boundary (was: ${info.ended - boundary})`)
+      t.equal(chopper.time, -1, 'should disable the time limit')
+      clearTimeout(timer)
+      next()
+      chopper.destroy()
+      t.end()
+    })
+  })
+
+  // we need a timer on the event loop so the test doesn't exit too soon
+  const timer = setTimeout(function () {
+    t.fail('took too long')
+  }, 1000)
+
+  chopper.write('foo')
+  chopper.resetTimer(-1)
+})
+
+test('align: time limit reached before the boundary', function (t) {
+  const start = Date.now()
+  const chopper = new StreamChopper({
+    time: 50,
+    align: 1000,
+    clock () {
+      // the next boundary is 500ms away
+      return 500 + Date.now() - start
+    }
+  })
+
+  chopper.on('stream', function (stream, next, info) {
+    stream.resume()
+    stream.on('end', function () {
+      const diff = Date.now() - start
+      t.equal(info.reason, 'time')
+      t.ok(diff >= 50 - TIMER_SLACK && diff <= 250, `should end the stream witin a window of 50-250ms (was: ${diff})`)
+      clearTimeout(timer)
+      next()
+      chopper.destroy()
+      t.end()
+    })
+  })
+
+  // we need a timer on the event loop so the test doesn't exit too soon
+  const timer = setTimeout(function () {
+    t.fail('took too long')
+  }, 1000)
+
+  chopper.write('foo')
+})
+
+test('align: boundary reached before the time limit', function (t) {
+  const start = Date.now()
+  const chopper = new StreamChopper({
+    time: 500,
+    align: 1000,
+    clock () {
+      // the next boundary is 100ms away
+      return 900 + Date.now() - start
+    }
+  })
+
+  chopper.on('stream', function (stream, next, info) {
+    stream.resume()
+    stream.on('end', function () {
+      const diff = Date.now() - start
+      t.equal(info.reason, 'time')
+      t.ok(info.ended >= 1000, 'should end the stream at the boundary')
+      t.ok(diff >= 100 && diff <= 300, `should end the stream witin a window of 100-300ms (was: ${diff})`)
+      clearTimeout(timer)
+      next()
+      chopper.destroy()
+      t.end()
+    })
+  })
+
+  // we need a timer on the event loop so the test doesn't exit too soon
+  const timer = setTimeout(function () {
+    t.fail('took too long')
+  }, 1000)
+
+  chopper.write('foo')
+})
+
+test('timeout not postponed if minSize is reached before minTime', function (t) {
+  const start = Date.now()
+  const chopper = new StreamChopper({ time: 50, minSize: 3, minTime: 500 })
+
+  chopper.on('stream', function (stream, next, info) {
+    stream.resume()
+    stream.on('end', function () {
+      const diff = Date.now() - start
+      t.equal(info.reason, 'time')
+      t.ok(diff >= 50 - TIMER_SLACK && diff <= 250, `should end the stream witin a window of 50-250ms (was: ${diff})`)
+      clearTimeout(timer)
+      next()
+      chopper.destroy()
+      t.end()
+    })
+  })
+
+  // we need a timer on the event loop so the test doesn't exit too soon
+  const timer = setTimeout(function () {
+    t.fail('took too long')
+  }, 1000)
+
+  chopper.write('foo')
+})
+
+test('should not chop if no size is given', function (t) {
+  const bigString = new Array(10000).join('hello ')
+  const totalWrites = 1000
+  let emitted = false
+
+  t.plan(totalWrites)
+
+  const chopper = new StreamChopper()
+
+  chopper.on('stream', function (stream, next) {
+    if (emitted) t.fail('should not emit stream more than once')
+    emitted = true
+    stream.on('data', function (chunk) {
+      t.equal(chunk.toString(), bigString)
+    })
+    next()
+  })
+
+  for (let n = 0; n < totalWrites; n++) {
+    chopper.write(bigString)
+  }
+})
+
+test('should not chop if no time is given', function (t) {
+  setTimeout(function () {
+    t.end()
+  }, 100)
+
+  const origSetTimeout = global.setTimeout
+  global.setTimeout = function () {
+    t.fail('should not set a timeout')
+  }
+  t.on('end', function () {
+    global.setTimeout = origSetTimeout
+  })
+
+  const chopper = new StreamChopper()
+  chopper.on('stream', function (stream, next) {
+    stream.resume()
+    next()
+  })
+  chopper.write('test')
+})
+
+test('should chop when timeout occurs', function (t) {
+  const chopper = new StreamChopper({ time: 50 })
+  chopper.on('stream', assertOnStream(t, 2))
+  chopper.write('hello world 1')
+  setTimeout(function () {
+    chopper.write('hello world 2')
+    chopper.end()
+  }, 100)
+})
+
+test('should chop when idle timeout occurs', function (t) {
+  const start = Date.now()
+  const chopper = new StreamChopper({ idle: 100, time: 1000 })
+
+  chopper.on('stream', function (stream, next, info) {
+    const chunks = []
+    stream.on('data', chunks.push.bind(chunks))
+    stream.on('end', function () {
+      const diff = Date.now() - start
+      t.equal(Buffer.concat(chunks).toString(), 'foobar')
+      t.equal(info.reason, 'idle')
+      t.ok(diff >= 150 && diff <= 400, `should end the stream witin a window of 150-400ms (was: ${diff})`)
+      clearTimeout(timer)
+      next()
+      chopper.destroy()
+      t.end()
+    })
+  })
+
+  // we need a timer on the event loop so the test doesn't exit too soon
+  const timer = setTimeout(function () {
+    t.fail('took too long')
+  }, 1001)
+
+  chopper.write('foo')
+  setTimeout(function () {
+    chopper.write('bar') // reset the idle timer
+  }, 50)
+})
+
+test('handle backpressure when current stream is full, but next() haven\'t been called yet', function (t) {
+  t.plan(4)
+
+  const chunks = ['foo', 'bar', 'baz']
+  let emits = 0
+  let firstNext
+
+  const chopper = new StreamChopper({
+    size: 2,
+    type: StreamChopper.overflow
+  })
+
+  chopper.on('stream', function (stream, next) {
+    const emit = ++emits
+    const expected = chunks.shift()
+
+    if (emit === 1) firstNext = next
+
+    stream.on('data', function (chunk) {
+      t.equal(chunk.toString(), expected)
+    })
+
+    stream.on('end', function () {
+      if (emit > 1) next()
+      if (emit === 3) t.end()
+    })
+  })
+
+  chopper.write('foo') // indirect chop
+  chopper.write('bar') // indirect chop
+  chopper.end('baz') // indirect chop
+
+  t.equal(emits, 1, 'should only have emitted the first stream')
+
+  firstNext()
+})
+
+test('stream info', function (t) {
+  const expected = [
+    { seq: 0, bytesIn: 5, bytesOut: 5, reason: 'size' },
+    { seq: 1, bytesIn: 3, bytesOut: 3, reason: 'manual' },
+    { seq: 2, bytesIn: 4, bytesOut: 4, reason: 'final' }
+  ]
+  let emits = 0
+
+  const chopper = new StreamChopper({ size: 5 })
+
+  chopper.on('stream', function (stream, next, info) {
+    const emit = ++emits
+    const start = Date.now()
+    const exp = expected.shift()
+
+    t.equal(info.seq, exp.seq, `stream ${emit} should have expected seq`)
+    t.ok(info.created <= start, `stream ${emit} should have a created timestamp`)
+    t.equal(info.ended, null, `stream ${emit} should not have ended yet`)
+    t.equal(info.reason, null, `stream ${emit} should not have a reason yet`)
+
+    stream.resume()
+    stream.on('end', function () {
+      t.ok(info.ended >= info.created, `stream ${emit} should have an ended timestamp`)
+      t.equal(info.bytesIn, exp.bytesIn, `stream ${emit} should have expected bytesIn`)
+      t.equal(info.bytesOut, exp.bytesOut, `stream ${emit} should have expected bytesOut`)
+      t.equal(info.reason, exp.reason, `stream ${emit} should have expected reason`)
+      next()
+      if (emit === 3) t.end()
+    })
+  })
+
+  chopper.write('hello')
+  chopper.write('foo', function () {
+    chopper.chop(function () {
+      chopper.end('æø')
+    })
+  })
+})
+
+test('stream info - reason: time', function (t) {
+  const chopper = new StreamChopper({ time: 50 })
+
+  chopper.on('stream', function (stream, next, info) {
+    stream.resume()
+    stream.on('end', function () {
+      t.equal(info.reason, 'time')
+      clearTimeout(timer)
+      next()
+      chopper.destroy()
+      t.end()
+    })
+  })
+
+  // we need a timer on the event loop so the test doesn't exit too soon
+  const timer = setTimeout(function () {
+    t.fail('took too long')
+  }, 500)
+
+  chopper.write('hello')
+})
+
+test('stream info - reason: destroyed-by-consumer', function (t) {
+  const chopper = new StreamChopper()
+
+  chopper.on('stream', function (stream, next, info) {
+    stream.on('close', function () {
+      t.equal(info.reason, 'destroyed-by-consumer')
+      chopper.destroy()
+      t.end()
+    })
+    stream.destroy()
+  })
+
+  chopper.write('hello')
+})
+
+test('stream info - reason: destroyed', function (t) {
+  const chopper = new StreamChopper()
+
+  chopper.on('stream', function (stream, next, info) {
+    stream.on('close', function () {
+      t.equal(info.reason, 'destroyed')
+      t.end()
+    })
+  })
+
+  chopper.write('hello')
+  chopper.destroy()
+})
+
+test('transform: stream info', function (t) {
+  const chopper = new StreamChopper({
+    type: StreamChopper.overflow,
+    transform () {
+      return zlib.createGzip()
+    }
+  })
+
+  chopper.on('stream', function (stream, next, info) {
+    const chunks = []
+    stream.on('data', chunks.push.bind(chunks))
+    stream.on('end', function () {
+      t.equal(info.bytesIn, 11, 'should count bytes written')
+      t.equal(info.bytesOut, Buffer.concat(chunks).length, 'should count transformed bytes')
+      t.equal(info.reason, 'final')
+      next()
+      t.end()
+    })
+  })
+
+  chopper.write('hello')
+  chopper.end(' world')
+})
+
+test('chop event', function (t) {
+  const reasons = ['size', 'manual', 'final']
+  let emits = 0
+  let chops = 0
+
+  const chopper = new StreamChopper({ size: 5 })
+
+  chopper.on('stream', function (stream, next, info) {
+    const emit = ++emits
+    stream.resume()
+    stream.on('end', function () {
+      t.equal(chops, emit, `chop event should be emitted before stream ${emit} ends`)
+      next()
+      if (emit === 3) t.end()
+    })
+  })
+
+  chopper.on('chop', function (stream, info, reason) {
+    const chop = ++chops
+    t.equal(info.seq, chop - 1, `should get info for stream ${chop}`)
+    t.equal(reason, reasons.shift(), `should get expected reason for stream ${chop}`)
+    t.equal(info.reason, reason, 'info.reason should match reason')
+    t.ok(info.ended, 'info.ended should be set')
+  })
+
+  chopper.write('hello')
+  chopper.write('foo', function () {
+    chopper.chop(function () {
+      chopper.end('bar')
+    })
+  })
+})
+
+test('chop event - reason: error', function (t) {
+  t.plan(2)
+
+  const err = new Error('foo')
+  const chopper = new StreamChopper()
+
+  chopper.on('stream', function (stream, next) {
+    stream.on('error', function (_err) {
+      t.equal(_err, err)
+    })
+    stream.emit('error', err)
+  })
+
+  chopper.on('chop', function (stream, info, reason) {
+    t.equal(reason, 'error')
+    chopper.destroy()
+  })
+
+  chopper.write('hello')
+})
+
+test('concurrency', function (t) {
+  const chunks = ['foo', 'bar', 'baz']
+  const nexts = []
+  let emits = 0
+  let ends = 0
+
+  const chopper = new StreamChopper({
+    size: 3,
+    concurrency: 2
+  })
+
+  chopper.on('stream', function (stream, next, info) {
+    const emit = ++emits
+    const expected = chunks.shift()
+
+    t.equal(info.seq, emit - 1)
+    nexts.push(next)
+
+    stream.on('data', function (chunk) {
+      t.equal(chunk.toString(), expected)
+    })
+    stream.on('end', function () {
+      if (++ends === 3) t.end()
+    })
+  })
+
+  chopper.write('foo') // indirect chop
+  chopper.write('bar') // indirect chop
+  chopper.end('baz') // indirect chop
+
+  setTimeout(function () {
+    t.equal(emits, 2, 'should have emitted two streams')
+    t.equal(chopper._locked, true, 'should be locked')
+    nexts[1]() // release the 2nd stream before the 1st
+    nexts[1]() // calling next twice should have no effect
+    t.equal(emits, 3, 'should have emitted the third stream')
+    t.equal(chopper._locked, true, 'should be locked')
+    nexts[0]()
+    t.equal(chopper._locked, false, 'should no longer be locked')
+    nexts[2]()
+  }, 50)
+})
+
+if (typeof Symbol.asyncIterator === 'symbol') {
+  test('async iterator', function (t) {
+    const expected = ['hello', 'world']
+    const chopper = new StreamChopper({ size: 5 })
+    const iterator = chopper[Symbol.asyncIterator]()
+
+    chopper.write('hello')
+    chopper.end('world')
+
+    iterate()
+
+    function iterate () {
+      iterator.next().then(function (result) {
+        if (result.done) {
+          t.equal(expected.length, 0, 'should iterate over all streams')
+          t.end()
+          return
+        }
+
+        const data = expected.shift()
+        const chunks = []
+        t.equal(result.value.info.seq, 1 - expected.length, 'should get info')
+        result.value.stream.on('data', chunks.push.bind(chunks))
+        result.value.stream.on('end', function () {
+          t.equal(Buffer.concat(chunks).toString(), data, `should get '${data}'`)
+          iterate()
+        })
+      }, t.error)
+    }
+  })
+
+  test('async iterator - destroy with error', function (t) {
+    const err = new Error('foo')
+    const chopper = new StreamChopper()
+    const iterator = chopper[Symbol.asyncIterator]()
+
+    chopper.write('hello')
+
+    iterator.next().then(function (result) {
+      t.equal(result.done, false)
+      chopper.destroy(err)
+      return iterator.next()
+    }).then(function () {
+      t.fail('should reject')
+    }, function (_err) {
+      t.equal(_err, err)
+      return iterator.next()
+    }).then(function (result) {
+      t.equal(result.done, true, 'should be done after error')
+      t.end()
+    })
+  })
+
+  test('async iterator - destroy', function (t) {
+    const chopper = new StreamChopper()
+    const iterator = chopper[Symbol.asyncIterator]()
+
+    iterator.next().then(function (result) {
+      t.equal(result.done, true)
+      t.end()
+    })
+
+    chopper.destroy()
+  })
+
+  test('async iterator - return', function (t) {
+    const chopper = new StreamChopper()
+    const iterator = chopper[Symbol.asyncIterator]()
+
+    chopper.write('hello')
+
+    iterator.next().then(function (result) {
+      t.equal(result.done, false)
+      return iterator.return()
+    }).then(function (result) {
+      t.equal(result.done, true)
+      t.equal(chopper.destroyed, true, 'should destroy the chopper')
+      t.end()
+    })
+  })
+}
+
+test('maxBuffered', function (t) {
+  const expected = {
+    'block': ['first', 'aaaabbbbccccdddd'],
+    'drop-newest': ['first', 'aaaabbbb'],
+    'drop-oldest': ['first', 'ccccdddd']
+  }
+  const dropped = {
+    'block': [],
+    'drop-newest': [4, 4],
+    'drop-oldest': [4, 4]
+  }
+
+  ;[false, true].forEach(function (spool) {
+    Object.keys(expected).forEach(function (onOverload) {
+      t.test(`onOverload: ${onOverload}${spool ? ' - spool' : ''}`, function (t) {
+        const dir = spool ? tmpdir() : null
+        const chopper = new StreamChopper(spool
+          ? { spool: { dir, maxBytes: 10 }, onOverload }
+          : { maxBuffered: 10, onOverload })
+        const drops = []
+        let release = null
+        let written = false
+
+        chopper.on('dropped', drops.push.bind(drops))
+
+        chopper.on('stream', function (stream, next, info) {
+          const chunks = []
+          stream.on('data', chunks.push.bind(chunks))
+          stream.on('end', function () {
+            t.equal(Buffer.concat(chunks).toString(), expected[onOverload][info.seq])
+            if (info.seq === 0) {
+              release = next
+              return
+            }
+            next()
+          })
+          if (info.seq === 0) stream.once('data', ondata)
+        })
+
+        chopper.write('first')
+
+        function ondata () {
+          chopper.chop(function () {
+            // the chopper is locked until next() is called for the first stream
+            chopper.write('aaaa')
+            chopper.write('bbbb')
+            chopper.write('cccc', function () {
+              written = true
+            })
+            chopper.write('dddd')
+            setTimeout(function () {
+              t.equal(written, onOverload !== 'block', 'should only block if onOverload is block')
+              release()
+              chopper.close().then(function () {
+                t.deepEqual(drops, dropped[onOverload])
+                t.equal(chopper.stats().dropped, dropped[onOverload].reduce((a, b) => a + b, 0))
+                if (dir) {
+                  t.deepEqual(fs.readdirSync(dir), [], 'should remove the spool file')
+                  rmdir(dir)
+                }
+                t.end()
+              })
+            }, 50)
+          })
+        }
+      })
+    })
+  })
+})
+
+test('checksum', function (t) {
+  const expected = {
+    crc32: ['3610a686', '3a771143'],
+    md5: [
+      crypto.createHash('md5').update('hello').digest('hex'),
+      crypto.createHash('md5').update('world').digest('hex')
+    ],
+    sha256: [
+      crypto.createHash('sha256').update('hello').digest('hex'),
+      crypto.createHash('sha256').update('world').digest('hex')
+    ]
+  }
+
+  Object.keys(expected).forEach(function (algorithm) {
+    t.test(algorithm, function (t) {
+      const chopper = new StreamChopper({ size: 5, checksum: algorithm })
+
+      chopper.on('stream', function (stream, next, info) {
+        t.equal(info.checksum, null, 'should not have a checksum before the stream ends')
+        stream.resume()
+        stream.on('end', function () {
+          t.equal(info.checksum, expected[algorithm][info.seq])
+          t.equal(info.bytesOut, 5)
+          next()
+          if (info.seq === 1) t.end()
+        })
+      })
+
+      chopper.end('helloworld')
+    })
+  })
+})
+
+test('checksum: transform', function (t) {
+  const chopper = new StreamChopper({
+    type: StreamChopper.overflow,
+    checksum: 'sha256',
+    transform () {
+      return zlib.createGzip()
+    }
+  })
+
+  chopper.on('stream', function (stream, next, info) {
+    const chunks = []
+    stream.on('data', chunks.push.bind(chunks))
+    stream.on('end', function () {
+      const data = Buffer.concat(chunks)
+      t.equal(info.checksum, crypto.createHash('sha256').update(data).digest('hex'), 'should hash the transformed data')
+      t.equal(info.bytesOut, data.length)
+      next()
+      t.end()
+    })
+  })
+
+  chopper.end('hello world')
+})
+
+test('checksum: invalid config', function (t) {
+  t.throws(function () {
+    new StreamChopper({ checksum: 'md4' }) // eslint-disable-line no-new
+  })
+  t.throws(function () {
+    new StreamChopper({ objectMode: true, checksum: 'md5' }) // eslint-disable-line no-new
+  })
+  t.end()
+})
+
+test('spool: backpressure', function (t) {
+  const dir = tmpdir()
+  const chunks = []
+  const writes = []
+  for (let n = 0; n < 20; n++) writes.push(crypto.randomBytes(4 * 1024))
+
+  const chopper = new StreamChopper({ spool: { dir } })
+
+  chopper.on('stream', function (stream, next) {
+    setTimeout(function () {
+      const spooled = fs.statSync(path.join(dir, 'stream-chopper-0.spool')).size
+      t.ok(spooled > 0, `should spool writes while in backpressure (${spooled} bytes)`)
+      t.ok(chopper._writableState.length < 4 * 1024, 'should not buffer writes in memory')
+      stream.on('data', chunks.push.bind(chunks))
+      stream.on('end', next)
+    }, 50)
+  })
+
+  writes.forEach(function (chunk) {
+    chopper.write(chunk)
+  })
+  chopper.close().then(function () {
+    t.ok(Buffer.concat(chunks).equals(Buffer.concat(writes)), 'should write spooled data in order')
+    t.deepEqual(fs.readdirSync(dir), [], 'should remove the spool file')
+    rmdir(dir)
+    t.end()
+  })
+})
+
+test('spool: segments', function (t) {
+  const dir = tmpdir()
+  const writes = []
+  for (let n = 0; n < 10; n++) writes.push(`chunk ${n}\n`)
+
+  const chopper = new StreamChopper({ spool: { dir, segmentSize: 16 } })
+  let release = null
+
+  chopper.on('stream', function (stream, next, info) {
+    const chunks = []
+    stream.on('data', chunks.push.bind(chunks))
+    stream.on('end', function () {
+      if (info.seq === 0) {
+        release = next
+        return
+      }
+      t.equal(Buffer.concat(chunks).toString(), writes.join(''))
+      next()
+    })
+    if (info.seq === 0) stream.once('data', ondata)
+  })
+
+  chopper.write('first')
+
+  function ondata () {
+    chopper.chop(function () {
+      writes.forEach(function (chunk) {
+        chopper.write(chunk)
+      })
+      setTimeout(function () {
+        t.ok(fs.readdirSync(dir).length > 1, 'should spool to several segment files')
+        release()
+        chopper.close().then(function () {
+          t.deepEqual(fs.readdirSync(dir), [], 'should remove the segment files')
+          rmdir(dir)
+          t.end()
+        })
+      }, 50)
+    })
+  }
+})
+
+test('spool: recover after crash', function (t) {
+  const dir = tmpdir()
+  const file = path.join(dir, 'stream-chopper-0.spool')
+  const chopper1 = new StreamChopper({ spool: { dir } })
+
+  chopper1.on('stream', function (stream, next, info) {
+    stream.resume()
+    stream.once('data', function () {
+      chopper1.chop(function () {
+        // never call next(), so the rest of the writes are spooled
+        chopper1.write('hello ')
+        chopper1.write('world', function () {
+          // simulate a crash
+          chopper1.destroy()
+          // and a partially written record
+          fs.appendFileSync(file, Buffer.from([0, 0]))
+          t.ok(fs.statSync(file).size > 0, 'should keep the spool file')
+          recover()
+        })
+      })
+    })
+  })
+
+  chopper1.write('first')
+
+  function recover () {
+    const chopper2 = new StreamChopper({ spool: { dir } })
+    // next() was never called for the first output stream, so the data read
+    // from the spool into it is written again
+    chopper2.on('stream', function (stream, next) {
+      readAll(stream, function (err, data) {
+        t.error(err)
+        t.equal(data, 'firsthello world!')
+        next()
+      })
+    })
+    chopper2.end('!')
+    chopper2.on('finish', function () {
+      t.deepEqual(fs.readdirSync(dir), [], 'should remove the spool files')
+      rmdir(dir)
+      t.end()
+    })
+  }
+})
+
+test('spool: recover after crash - acknowledged data is not written again', function (t) {
+  const dir = tmpdir()
+  const chopper1 = new StreamChopper({ size: 1, type: StreamChopper.overflow, spool: { dir } })
+
+  chopper1.on('stream', function (stream, next, info) {
+    stream.resume()
+    if (info.seq === 0) {
+      stream.on('end', next)
+      return
+    }
+    stream.on('end', function () {
+      // never call next() for the second output stream and simulate a crash
+      setTimeout(function () {
+        chopper1.destroy()
+        recover()
+      }, 50)
+    })
+  })
+
+  // written while the spool is being opened, so all of it is spooled
+  ;['a', 'b', 'c', 'd'].forEach(function (chunk) {
+    chopper1.write(chunk)
+  })
+
+  function recover () {
+    const chopper2 = new StreamChopper({ size: 1, type: StreamChopper.overflow, spool: { dir } })
+    const data = []
+    chopper2.on('stream', function (stream, next) {
+      readAll(stream, function (err, str) {
+        t.error(err)
+        data.push(str)
+        next()
+      })
+    })
+    chopper2.end()
+    chopper2.on('finish', function () {
+      t.deepEqual(data, ['b', 'c', 'd'], 'should only write the data that wasn\'t acknowledged')
+      t.deepEqual(fs.readdirSync(dir), [], 'should remove the spool files')
+      rmdir(dir)
+      t.end()
+    })
+  }
+})
+
+test('spool: object mode', function (t) {
+  t.throws(function () {
+    new StreamChopper({ objectMode: true, spool: { dir: os.tmpdir() } }) // eslint-disable-line no-new
+  })
+  t.end()
+})
+
+test('chopper.stats()', function (t) {
+  const chopper = new StreamChopper({ size: 4, time: 10 })
+
+  chopper.on('stream', function (stream, next) {
+    stream.resume()
+    stream.on('end', function () {
+      setTimeout(next, 20)
+    })
+  })
+
+  chopper.write('foo')
+  chopper.write('bar') // split
+  setTimeout(function () {
+    chopper.type = StreamChopper.overflow
+    chopper.write('hello') // overflow
+    chopper.type = StreamChopper.underflow
+    chopper.write('foo')
+    chopper.write('bar') // underflow
+    chopper.close().then(function (stats) {
+      t.deepEqual(stats, {
+        bytesIn: 17,
+        bytesOut: 17,
+        streams: 5,
+        retries: 0,
+        delivered: 5,
+        chops: { size: 3, time: 1, final: 1 },
+        splits: 1,
+        overflows: 1,
+        underflows: 1,
+        boundarySplits: 0,
+        dropped: 0,
+        lockedTime: stats.lockedTime,
+        drainingTime: stats.drainingTime
+      })
+      t.ok(stats.lockedTime >= 20, `should count time spent waiting for next (was: ${stats.lockedTime})`)
+      t.equal(typeof stats.drainingTime, 'number')
+      t.end()
+    }, t.error)
+  }, 100)
+})
+
+test('chopper.stats() - transform', function (t) {
+  const chopper = new StreamChopper({
+    type: StreamChopper.overflow,
+    transform () {
+      return zlib.createGzip()
+    }
+  })
+
+  chopper.on('stream', function (stream, next, info) {
+    stream.resume()
+    stream.on('end', next)
+  })
+
+  chopper.write('hello world')
+  chopper.close().then(function (stats) {
+    t.equal(stats.bytesIn, 11)
+    t.ok(stats.bytesOut > 11, 'should count transformed bytes')
+    t.end()
+  }, t.error)
+})
+
+test('output stream destroyed by user', function (t) {
+  t.plan(2)
+
+  let emits = 0
+  const chopper = new StreamChopper()
+
+  chopper.on('stream', function (stream, next) {
+    const emit = ++emits
+
+    stream.on('data', function (chunk) {
+      t.equal(chunk.toString(), 'hello', 'stream should get data')
+      stream.destroy() // force output stream to end unexpectedly
+    })
+    stream.on('close', function () {
+      t.pass(`stream ${emit} closed`)
+      next()
+      t.end()
+    })
+  })
+
+  chopper.write('hello')
+})
+
+test('output stream destroyed by user followed by chopper.write() when stream emits end', function (t) {
+  t.plan(4)
+
+  let emits = 0
+  const chunks = ['hello', 'world']
+  const chopper = new StreamChopper()
+
+  chopper.on('stream', function (stream, next) {
+    const emit = ++emits
+
+    stream.on('data', function (chunk) {
+      t.equal(chunk.toString(), chunks.shift())
+      if (emit === 1) stream.destroy() // force output stream to end unexpectedly
+    })
+    stream.on('close', function () {
+      t.equal(emit, 1, 'stream 1 should close')
+      next()
+      chopper.end('world') // start writing before stream have emitted finish
+    })
+    stream.on('end', function () {
+      t.equal(emit, 2, 'stream 2 should end')
+      t.end()
+    })
+  })
+
+  chopper.write('hello')
+})
+
+test('output stream destroyed by user followed directly by chopper.write()', function (t) {
+  t.plan(14)
+
+  let emits = 0
+  const streams = [
+    ['foo'],
+    ['bar', 'b'],
+    ['az']
+  ]
+  const chopper = new StreamChopper({ size: 4 })
+
+  chopper.on('stream', function (stream, next) {
+    const emit = ++emits
+    const chunks = streams.shift()
+    t.ok(chunks)
+
+    stream.on('data', function (chunk) {
+      const expected = chunks.shift()
+      t.ok(expected)
+      t.equal(chunk.toString(), expected, `should get '${expected}'`)
+      if (emit === 1) {
+        stream.destroy() // force output stream to end unexpectedly
+        chopper.write('bar') // start writing while stream is in the process of being destroyed
+        chopper.end('baz') // start writing while stream is locked
+      }
+    })
+    stream.on('close', function () {
+      t.equal(emit, 1, 'stream 1 should close')
+      next()
+    })
+    stream.on('end', function () {
+      t.ok(emit > 1, `stream 1 shouldn't end (was stream ${emit}`)
+      next()
+      if (emit === 3) t.end()
+    })
+  })
+
+  chopper.write('foo')
+})
+
+test('change size midflight', function (t) {
+  t.plan(12)
+
+  let emits = 0
+  const streams = [
+    ['foo'],
+    ['bar'],
+    ['foobar']
+  ]
+
+  const chopper = new StreamChopper({ size: 3 })
+
+  chopper.on('stream', function (stream, next) {
+    const emit = ++emits
+    const chunks = streams.shift()
+    t.ok(chunks, `stream ${emit} should be expected`)
+
+    stream.on('data', function (chunk) {
+      const expected = chunks.shift()
+      t.ok(expected, `chunk event should be expected on stream ${emit}`)
+      t.equal(chunk.toString(), expected, `should get '${expected}'`)
+      if (emit === 2) {
+        chopper.size = 6
+        chopper.write('foobar')
+        chopper.end()
+      }
+    })
+    stream.on('end', function () {
+      t.pass(`stream ${emit} ended`)
+      next()
+      if (emit === 3) t.end()
+    })
+  })
+
+  chopper.write('foobar')
+})
+
+test('change type midflight', function (t) {
+  t.plan(12)
+
+  let emits = 0
+  const streams = [
+    ['foo'],
+    ['bar'],
+    ['foobar']
+  ]
+
+  const chopper = new StreamChopper({ size: 3 })
+
+  chopper.on('stream', function (stream, next) {
+    const emit = ++emits
+    const chunks = streams.shift()
+    t.ok(chunks, `stream ${emit} should be expected`)
+
+    stream.on('data', function (chunk) {
+      const expected = chunks.shift()
+      t.ok(expected, `chunk event should be expected on stream ${emit}`)
+      t.equal(chunk.toString(), expected, `should get '${expected}'`)
+      if (emit === 2) {
+        chopper.type = StreamChopper.overflow
+        chopper.write('foobar')
+        chopper.end()
+      }
+    })
+    stream.on('end', function () {
+      t.pass(`stream ${emit} ended`)
+      next()
+      if (emit === 3) t.end()
+    })
+  })
+
+  chopper.write('foobar')
+})
+
+test('change time midflight', function (t) {
+  t.plan(8)
+
+  let start
+  let emits = 0
+  const streams = [
+    ['foo'],
+    ['bar']
+  ]
+
+  const chopper = new StreamChopper({ time: 200 })
+
+  chopper.on('stream', function (stream, next) {
+    const emit = ++emits
+    const chunks = streams.shift()
+    t.ok(chunks, `stream ${emit} should be expected`)
+
+    stream.on('data', function (chunk) {
+      const expected = chunks.shift()
+      t.ok(expected, `chunk event should be expected on stream ${emit}`)
+      t.equal(chunk.toString(), expected, `should get '${expected}'`)
+    })
+    stream.on('end', function () {
+      const diff = Date.now() - start
+      if (emit === 1) {
+        t.ok(diff >= 200 && diff <= 400, `should end the stream witin a window of 200-400ms (was: ${diff})`)
+        chopper.time = 500
+        start = Date.now()
+        chopper.write('bar')
+        next()
+      } else {
+        t.ok(diff >= 500 && diff <= 700, `should end the stream witin a window of 500-700ms (was: ${diff})`)
+        clearTimeout(timer)
+        next()
+        chopper.destroy()
+        t.end()
+      }
+    })
+  })
+
+  // we need a timer on the event loop so the test doesn't exit too soon
+  const timer = setTimeout(function () {
+    t.fail('took too long')
+  }, 1101)
+
+  start = Date.now()
+  chopper.write('foo')
+})
+
+test('#chopper.resetTimer()', function (t) {
+  t.plan(2)
+
+  let start
+  const chopper = new StreamChopper({ time: 200 })
+
+  chopper.on('stream', function (stream, next) {
+    stream.on('data', function (chunk) {
+      t.equal(chunk.toString(), 'foo', 'stream should get data')
+    })
+    stream.on('end', function () {
+      const diff = Date.now() - start
+      t.ok(diff >= 300 && diff <= 500, `should end the stream witin a window of 300-500ms (was: ${diff})`)
+      clearTimeout(timer)
+      next()
+      chopper.destroy()
+      t.end()
+    })
+  })
+
+  // we need a timer on the event loop so the test doesn't exit too soon
+  const timer = setTimeout(function () {
+    t.fail('took too long')
+  }, 501)
+
+  start = Date.now()
+  chopper.write('foo')
+
+  setTimeout(function () {
+    chopper.resetTimer()
+  }, 100)
+})
+
+test('#chopper.resetTimer() - without an active stream', function (t) {
+  const chopper = new StreamChopper({ time: 200 })
+
+  chopper.on('stream', function (stream, next) {
+    t.fail('should never emit a stream')
+  })
+
+  setTimeout(function () {
+    chopper.destroy()
+    t.end()
+  }, 400)
+
+  chopper.resetTimer()
+
+  t.notOk(chopper._timer)
+})
+
+test('#chopper.resetTimer(time) - with current time set to 200', function (t) {
+  t.plan(2)
+
+  let start
+  const chopper = new StreamChopper({ time: 200 })
+
+  chopper.on('stream', function (stream, next) {
+    stream.on('data', function (chunk) {
+      t.equal(chunk.toString(), 'foo', 'stream should get data')
+    })
+    stream.on('end', function () {
+      const diff = Date.now() - start
+      t.ok(diff >= 500 && diff <= 700, `should end the stream witin a window of 500-700ms (was: ${diff})`)
+      clearTimeout(timer)
+      next()
+      chopper.destroy()
+      t.end()
+    })
+  })
+
+  // we need a timer on the event loop so the test doesn't exit too soon
+  const timer = setTimeout(function () {
+    t.fail('took too long')
+  }, 701)
+
+  start = Date.now()
+  chopper.write('foo')
+
+  setTimeout(function () {
+    chopper.resetTimer(400)
+  }, 100)
+})
+
+test('#chopper.resetTimer(time) - with current time set to -1', function (t) {
+  t.plan(2)
+
+  let start
+  const chopper = new StreamChopper({ time: -1 })
+
+  chopper.on('stream', function (stream, next) {
+    stream.on('data', function (chunk) {
+      t.equal(chunk.toString(), 'foo', 'stream should get data')
+    })
+    stream.on('end', function () {
+      const diff = Date.now() - start
+      t.ok(diff >= 400 && diff <= 600, `should end the stream witin a window of 400-600ms (was: ${diff})`)
+      clearTimeout(timer)
+      next()
+      chopper.destroy()
+      t.end()
+    })
+  })
+
+  // we need a timer on the event loop so the test doesn't exit too soon
+  const timer = setTimeout(function () {
+    t.fail('took too long')
+  }, 601)
+
+  start = Date.now()
+  chopper.write('foo')
+  chopper.resetTimer(400)
+})
+
+test('#chopper.resetTimer(-1)', function (t) {
+  t.plan(2)
+
+  let ended = false
+  const chopper = new StreamChopper({ time: 100 })
+
+  chopper.on('stream', function (stream, next) {
+    stream.on('data', function (chunk) {
+      t.equal(chunk.toString(), 'foo', 'stream should get data')
+    })
+    stream.on('end', function () {
+      ended = true
+    })
+  })
+
+  setTimeout(function () {
+    t.equal(ended, false, 'should successfully have disabled the timer before the stream ended')
+    chopper.destroy()
+    t.end()
+  }, 200)
+
+  chopper.write('foo')
+
+  setTimeout(function () {
+    chopper.resetTimer(-1)
+  }, 50)
+})
+
+test('StreamChopper.fileSink()', function (t) {
+  const dir = tmpdir()
+  const chopper = new StreamChopper({ size: 5 })
+
+  chopper.on('stream', StreamChopper.fileSink({ dir, pattern: 'segment-{seq}{ext}', ext: '.log' }))
+
+  chopper.write('hello')
+  chopper.write('world')
+  chopper.close().then(function () {
+    t.deepEqual(fs.readdirSync(dir).sort(), ['segment-0.log', 'segment-1.log'])
+    t.equal(fs.readFileSync(path.join(dir, 'segment-0.log'), 'utf8'), 'hello')
+    t.equal(fs.readFileSync(path.join(dir, 'segment-1.log'), 'utf8'), 'world')
+    rmdir(dir)
+    t.end()
+  }, t.error)
+})
+
+test('StreamChopper.fileSink() - default pattern', function (t) {
+  const dir = tmpdir()
+  const chopper = new StreamChopper()
+  let file
+
+  chopper.on('stream', function (stream, next, info) {
+    StreamChopper.fileSink({ dir })(stream, function (err) {
+      t.error(err)
+      file = info.file
+      next(err)
+    }, info)
+  })
+
+  chopper.write('hello')
+  chopper.close().then(function () {
+    const files = fs.readdirSync(dir)
+    t.equal(files.length, 1)
+    t.ok(/^0-\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}\.\d{3}Z$/.test(files[0]), `unexpected filename: ${files[0]}`)
+    t.equal(file, path.join(dir, files[0]), 'should set info.file')
+    rmdir(dir)
+    t.end()
+  }, t.error)
+})
+
+test('StreamChopper.fileSink() - with transform', function (t) {
+  const dir = tmpdir()
+  const chopper = new StreamChopper({
+    type: StreamChopper.overflow,
+    transform () {
+      return zlib.createGzip()
+    }
+  })
+
+  chopper.on('stream', StreamChopper.fileSink({ dir, pattern: '{seq}{ext}', ext: '.gz' }))
+
+  chopper.write('hello')
+  chopper.write(' world')
+  chopper.close().then(function () {
+    t.deepEqual(fs.readdirSync(dir), ['0.gz'])
+    t.equal(zlib.gunzipSync(fs.readFileSync(path.join(dir, '0.gz'))).toString(), 'hello world')
+    rmdir(dir)
+    t.end()
+  }, t.error)
+})
+
+test('StreamChopper.fileSink() - output stream destroyed', function (t) {
+  const dir = tmpdir()
+  const chopper = new StreamChopper()
+  const sink = StreamChopper.fileSink({ dir })
+
+  chopper.on('stream', function (stream, next, info) {
+    sink(stream, function (err) {
+      t.equal(err.message, 'output stream closed before it ended')
+      setTimeout(function () {
+        t.deepEqual(fs.readdirSync(dir), [], 'should remove the temporary file')
+        rmdir(dir)
+        t.end()
+      }, 50)
+    }, info)
+  })
+
+  chopper.write('hello')
+  chopper.destroy()
+})
+
+test('StreamChopper.fileSink() - maxFiles', function (t) {
+  const dir = tmpdir()
+  const pruned = []
+  const chopper = new StreamChopper({ size: 5 })
+
+  chopper.on('stream', StreamChopper.fileSink({ dir, pattern: '{seq}{ext}', ext: '.log', maxFiles: 2 }))
+  chopper.on('pruned', pruned.push.bind(pruned))
+
+  fs.writeFileSync(path.join(dir, 'other.txt'), 'should not be pruned')
+
+  chopper.write('aaaaa')
+  chopper.write('bbbbb')
+  chopper.write('ccccc')
+  chopper.write('ddddd')
+  chopper.close().then(function () {
+    t.deepEqual(fs.readdirSync(dir).sort(), ['2.log', '3.log', 'other.txt'])
+    t.deepEqual(pruned.sort(), [path.join(dir, '0.log'), path.join(dir, '1.log')])
+    rmdir(dir)
+    t.end()
+  }, t.error)
+})
+
+test('StreamChopper.fileSink() - maxTotalBytes', function (t) {
+  const dir = tmpdir()
+  const chopper = new StreamChopper({ size: 5 })
+
+  chopper.on('stream', StreamChopper.fileSink({ dir, pattern: '{seq}', maxTotalBytes: 12 }))
+
+  chopper.write('aaaaa')
+  chopper.write('bbbbb')
+  chopper.write('ccccc')
+  chopper.close().then(function () {
+    t.deepEqual(fs.readdirSync(dir).sort(), ['1', '2'])
+    rmdir(dir)
+    t.end()
+  }, t.error)
+})
+
+test('StreamChopper.fileSink() - maxAge', function (t) {
+  const dir = tmpdir()
+  const chopper = new StreamChopper()
+  const old = path.join(dir, '0-2000-01-01T00-00-00.000Z')
+  const pruned = []
+
+  fs.writeFileSync(old, 'old')
+  fs.utimesSync(old, new Date('2000-01-01'), new Date('2000-01-01'))
+
+  chopper.on('stream', StreamChopper.fileSink({ dir, maxAge: 60 * 60 * 1000 }))
+  chopper.on('pruned', pruned.push.bind(pruned))
+
+  chopper.write('hello')
+  chopper.close().then(function () {
+    const files = fs.readdirSync(dir)
+    t.equal(files.length, 1)
+    t.notEqual(files[0], path.basename(old))
+    t.deepEqual(pruned, [old])
+    rmdir(dir)
+    t.end()
+  }, t.error)
+})
+
+test('StreamChopper.fileSink() - retention with pattern function', function (t) {
+  t.throws(function () {
+    StreamChopper.fileSink({ dir: os.tmpdir(), pattern () {}, maxFiles: 1 })
+  }, /requires a match option/)
+  t.end()
+})
+
+test('StreamChopper.fileSink() - missing dir', function (t) {
+  t.throws(function () {
+    StreamChopper.fileSink({})
+  }, /requires a dir/)
+  t.end()
+})
+
+test('StreamChopper.httpSink()', function (t) {
+  const bodies = []
+
+  const server = http.createServer(function (req, res) {
+    const chunks = []
+    t.equal(req.method, 'POST')
+    t.equal(req.headers['transfer-encoding'], 'chunked')
+    req.on('data', chunks.push.bind(chunks))
+    req.on('end', function () {
+      bodies.push(Buffer.concat(chunks).toString())
+      res.end('ok')
+    })
+  })
+
+  server.listen(function () {
+    const infos = []
+    const chopper = new StreamChopper({ size: 5 })
+    const sink = StreamChopper.httpSink({ port: server.address().port })
+
+    chopper.on('stream', function (stream, next, info) {
+      infos.push(info)
+      sink(stream, next, info)
+    })
+
+    chopper.write('hello')
+    chopper.write('world')
+    chopper.close().then(function () {
+      t.deepEqual(bodies, ['hello', 'world'])
+      infos.forEach(function (info) {
+        t.equal(info.statusCode, 200, 'should set info.statusCode')
+        t.equal(info.responseBody, 'ok', 'should set info.responseBody')
+      })
+      server.close()
+      t.end()
+    }, t.error)
+  })
+})
+
+test('StreamChopper.httpSink() - headers function', function (t) {
+  const server = http.createServer(function (req, res) {
+    const chunks = []
+    t.equal(req.headers['content-encoding'], 'gzip')
+    t.equal(req.headers['x-seq'], '0')
+    req.pipe(zlib.createGunzip())
+      .on('data', chunks.push.bind(chunks))
+      .on('end', function () {
+        t.equal(Buffer.concat(chunks).toString(), 'hello world')
+        res.end()
+      })
+  })
+
+  server.listen(function () {
+    const chopper = new StreamChopper({
+      type: StreamChopper.overflow,
+      transform () {
+        return zlib.createGzip()
+      }
+    })
+
+    chopper.on('stream', StreamChopper.httpSink({
+      port: server.address().port,
+      headers (info) {
+        return { 'Content-Encoding': 'gzip', 'X-Seq': String(info.seq) }
+      }
+    }))
+
+    chopper.write('hello')
+    chopper.write(' world')
+    chopper.close().then(function () {
+      server.close()
+      t.end()
+    }, t.error)
+  })
+})
+
+test('StreamChopper.httpSink() - non-2xx response', function (t) {
+  const server = http.createServer(function (req, res) {
+    req.resume()
+    req.on('end', function () {
+      res.statusCode = 503
+      res.end('busy')
+    })
+  })
+
+  server.listen(function () {
+    const chopper = new StreamChopper()
+    const sink = StreamChopper.httpSink({ port: server.address().port })
+    let info
+
+    chopper.on('stream', function (stream, next, _info) {
+      info = _info
+      sink(stream, next, info)
+    })
+
+    chopper.write('hello')
+    chopper.close().then(function () {
+      t.fail('should not resolve')
+    }, function (err) {
+      t.equal(err.message, 'Unexpected response code from server: 503')
+      t.equal(err.statusCode, 503)
+      t.equal(err.body, 'busy')
+      t.equal(info.statusCode, 503)
+      t.equal(info.responseBody, 'busy')
+      server.close()
+      t.end()
+    })
+  })
+})
+
+test('StreamChopper.httpSink() - socket error', function (t) {
+  const server = http.createServer(function (req, res) {
+    req.socket.destroy()
+  })
+
+  server.listen(function () {
+    const chopper = new StreamChopper()
+
+    chopper.on('stream', StreamChopper.httpSink({ port: server.address().port }))
+
+    chopper.write('hello')
+    chopper.close().then(function () {
+      t.fail('should not resolve')
+    }, function (err) {
+      t.ok(err, 'should reject with the socket error')
+      server.close()
+      t.end()
+    })
+  })
+})
+
+test('StreamChopper.join() - array of streams', function (t) {
+  const segments = ['hello', ' ', 'world'].map(function (data) {
+    const stream = new PassThrough()
+    stream.end(data)
+    return stream
+  })
+
+  readAll(StreamChopper.join(segments), function (err, data) {
+    t.error(err)
+    t.equal(data, 'hello world')
+    t.end()
+  })
+})
+
+test('StreamChopper.join() - empty array', function (t) {
+  readAll(StreamChopper.join([]), function (err, data) {
+    t.error(err)
+    t.equal(data, '')
+    t.end()
+  })
+})
+
+if (typeof Symbol.asyncIterator === 'symbol') {
+  test('StreamChopper.join() - async iterable', function (t) {
+    const chunks = ['foo', 'bar', 'baz']
+    const source = {}
+    source[Symbol.asyncIterator] = function () {
+      return {
+        next () {
+          if (chunks.length === 0) return Promise.resolve({ done: true })
+          const stream = new PassThrough()
+          stream.end(chunks.shift())
+          return Promise.resolve({ done: false, value: stream })
+        }
+      }
+    }
+
+    readAll(StreamChopper.join(source), function (err, data) {
+      t.error(err)
+      t.equal(data, 'foobarbaz')
+      t.end()
+    })
+  })
+
+  test('StreamChopper.join() - async iterable rejects', function (t) {
+    const source = {}
+    source[Symbol.asyncIterator] = function () {
+      return {
+        next () {
+          return Promise.reject(new Error('boom'))
+        }
+      }
+    }
+
+    readAll(StreamChopper.join(source), function (err) {
+      t.equal(err.message, 'boom')
+      t.end()
+    })
+  })
+}
+
+test('StreamChopper.join() - directory written by fileSink', function (t) {
+  const dir = tmpdir()
+  const chopper = new StreamChopper({
+    header: '[',
+    footer: ']',
+    transform () {
+      return zlib.createGzip()
+    }
+  })
+
+  chopper.on('stream', StreamChopper.fileSink({ dir, ext: '.gz' }))
+
+  chopper.write('hello')
+  chopper.chop()
+  chopper.write(' world')
+  chopper.close().then(function () {
+    t.equal(fs.readdirSync(dir).length, 2)
+    const joined = StreamChopper.join(dir, { gunzip: true, header: '[', footer: ']' })
+    readAll(joined, function (err, data) {
+      t.error(err)
+      t.equal(data, 'hello world')
+      rmdir(dir)
+      t.end()
+    })
+  }, t.error)
+})
+
+test('StreamChopper.join() - directory sorted by sequence number', function (t) {
+  const dir = tmpdir()
+  fs.writeFileSync(path.join(dir, '10.log'), 'c')
+  fs.writeFileSync(path.join(dir, '2.log'), 'b')
+  fs.writeFileSync(path.join(dir, '1.log'), 'a')
+  fs.writeFileSync(path.join(dir, '3.log.tmp'), 'x')
+
+  readAll(StreamChopper.join(dir), function (err, data) {
+    t.error(err)
+    t.equal(data, 'abc', 'should skip temporary files')
+    rmdir(dir)
+    t.end()
+  })
+})
+
+test('StreamChopper.join() - directory written by several choppers', function (t) {
+  const dir = tmpdir()
+  let now = Date.parse('2020-01-01T00:00:00.000Z')
+  const clock = function () {
+    return now
+  }
+
+  write(['a', 'b'], function () {
+    now += 1000
+    write(['c', 'd', 'e'], function () {
+      t.equal(fs.readdirSync(dir).length, 5)
+      readAll(StreamChopper.join(dir), function (err, data) {
+        t.error(err)
+        t.equal(data, 'abcde', 'should read the files of the first chopper first')
+        rmdir(dir)
+        t.end()
+      })
+    })
+  })
+
+  function write (chunks, cb) {
+    // each chunk fills an output stream of its own
+    const chopper = new StreamChopper({ size: 1, clock })
+    chopper.on('stream', StreamChopper.fileSink({ dir }))
+    chopper.on('stream', function () {
+      now++
+    })
+    chunks.forEach(function (chunk) {
+      chopper.write(chunk)
+    })
+    chopper.close().then(cb, t.error)
+  }
+})
+
+test('StreamChopper.join() - missing directory', function (t) {
+  readAll(StreamChopper.join(path.join(os.tmpdir(), 'stream-chopper-does-not-exist')), function (err) {
+    t.equal(err.code, 'ENOENT')
+    t.end()
+  })
+})
+
+test('StreamChopper.join() - segment error', function (t) {
+  const first = new PassThrough()
+  const second = new PassThrough()
+  const third = new PassThrough()
+  first.end('hello')
+
+  readAll(StreamChopper.join([first, second, third]), function (err, data) {
+    t.equal(err.message, 'boom')
+    t.equal(third.destroyed, true, 'should destroy the remaining segments')
+    t.end()
+  })
+
+  setTimeout(function () {
+    second.destroy(new Error('boom'))
+  }, 10)
+})
+
+test('StreamChopper.join() - invalid gzip data', function (t) {
+  const segment = new PassThrough()
+  segment.end('not gzip')
+
+  readAll(StreamChopper.join([segment], { gunzip: true }), function (err) {
+    t.ok(err, 'should emit the gunzip error')
+    t.end()
+  })
+})
+
+test('StreamChopper.join() - output stream destroyed', function (t) {
+  const first = new PassThrough()
+  const second = new PassThrough()
+  const joined = StreamChopper.join([first, second])
+
+  first.write('hello')
+  joined.once('data', function () {
+    joined.destroy()
+    setImmediate(function () {
+      t.equal(first.destroyed, true, 'should destroy the current segment')
+      t.equal(second.destroyed, true, 'should destroy the remaining segments')
+      t.end()
+    })
+  })
+})
+
+test('StreamChopper.join() - invalid source', function (t) {
+  t.throws(function () {
+    StreamChopper.join(42)
+  }, /requires an array of streams, an async iterable or a directory/)
+  t.end()
+})
+
+test('StreamChopper.join() - header or footer function', function (t) {
+  t.throws(function () {
+    StreamChopper.join([], { header: info => `#${info.seq}\n` })
+  }, /can only strip a header or footer given as a string, a buffer or a number of bytes/)
+  t.throws(function () {
+    StreamChopper.join([], { footer: () => ']' })
+  }, /can only strip a header or footer given as a string, a buffer or a number of bytes/)
+  t.end()
+})
+
+test('StreamChopper.partitioned()', function (t) {
+  const chopper = StreamChopper.partitioned({
+    size: 6,
+    key (chunk) {
+      return chunk.toString()[0]
+    }
+  })
+  const emits = []
+
+  chopper.on('stream', function (stream, next, info, key) {
+    t.equal(info.key, key, 'should set info.key')
+    const emit = { key, data: '' }
+    emits.push(emit)
+    stream.on('data', function (chunk) {
+      emit.data += chunk
+    })
+    stream.on('end', next)
+  })
+
+  chopper.write('a12')
+  chopper.write('b12')
+  chopper.write('a34')
+  chopper.write('b34')
+  chopper.write('a56')
+  t.equal(chopper.lanes, 2, 'should create a lane per key')
+
+  chopper.close().then(function () {
+    t.equal(chopper.lanes, 0, 'should close all lanes')
+    t.deepEqual(emits, [
+      { key: 'a', data: 'a12a34' },
+      { key: 'b', data: 'b12b34' },
+      { key: 'a', data: 'a56' }
+    ])
+    t.end()
+  }, t.error)
+})
+
+test('StreamChopper.partitioned() - objectMode', function (t) {
+  const chopper = StreamChopper.partitioned({
+    objectMode: true,
+    maxItems: 2,
+    key (obj) {
+      return obj.tenant
+    }
+  })
+  const emits = []
+
+  chopper.on('stream', function (stream, next, info, key) {
+    const objects = []
+    emits.push({ key, objects })
+    stream.on('data', objects.push.bind(objects))
+    stream.on('end', next)
+  })
+
+  chopper.write({ tenant: 1, n: 1 })
+  chopper.write({ tenant: 2, n: 2 })
+  chopper.write({ tenant: 1, n: 3 })
+  chopper.close().then(function () {
+    t.deepEqual(emits, [
+      { key: '1', objects: [{ tenant: 1, n: 1 }, { tenant: 1, n: 3 }] },
+      { key: '2', objects: [{ tenant: 2, n: 2 }] }
+    ])
+    t.end()
+  }, t.error)
+})
+
+test('StreamChopper.partitioned() - idle lanes are closed', function (t) {
+  const chopper = StreamChopper.partitioned({
+    laneTimeout: 50,
+    key (chunk) {
+      return chunk.toString()[0]
+    }
+  })
+  let ended = false
+
+  chopper.on('stream', function (stream, next) {
+    stream.resume()
+    stream.on('end', function () {
+      ended = true
+      next()
+    })
+  })
+
+  chopper.write('a')
+  setTimeout(function () {
+    chopper.write('b')
+  }, 30)
+
+  setTimeout(function () {
+    t.equal(chopper.lanes, 1, 'should only close the idle lane')
+    t.equal(ended, true, 'should end the output stream of the idle lane')
+    chopper.destroy()
+    t.end()
+  }, 70)
+})
+
+test('StreamChopper.partitioned() - maxBuffered is shared by all lanes', function (t) {
+  const chopper = StreamChopper.partitioned({
+    size: 1,
+    maxBuffered: 1,
+    key (chunk) {
+      return chunk.toString()[0]
+    }
+  })
+  const nexts = []
+  let written = 0
+
+  chopper.on('stream', function (stream, next) {
+    stream.resume()
+    nexts.push(next)
+  })
+
+  // the first write to each lane is written to its first output stream
+  // right away, while the following writes are held until next() is called
+  chopper.write('a', onwrite)
+  chopper.write('b', onwrite)
+  chopper.write('a', onwrite)
+  chopper.write('b', onwrite)
+  chopper.write('a', onwrite)
+
+  setTimeout(function () {
+    t.equal(written, 3, 'should block once the lanes hold more than maxBuffered')
+    nexts.shift()()
+    setTimeout(function () {
+      t.equal(written, 4, 'should unblock once a lane accepts the data')
+      chopper.destroy()
+      t.end()
+    }, 20)
+  }, 20)
+
+  function onwrite () {
+    written++
+  }
+})
+
+test('StreamChopper.partitioned() - lane error', function (t) {
+  const chopper = StreamChopper.partitioned({
+    size: 5,
+    key () {
+      return 'a'
+    }
+  })
+
+  chopper.on('stream', function (stream, next) {
+    stream.resume()
+    next(new Error('boom'))
+  })
+
+  chopper.on('error', function (err) {
+    t.equal(err.message, 'boom')
+    t.equal(chopper.lanes, 0, 'should remove the lanes')
+    t.end()
+  })
+
+  chopper.write('hello')
 })
 
-test('change type midflight', function (t) {
-  t.plan(12)
+test('StreamChopper.partitioned() - invalid lane options', function (t) {
+  const chopper = StreamChopper.partitioned({
+    objectMode: true,
+    type: StreamChopper.split,
+    key () {
+      return 'a'
+    }
+  })
 
-  let emits = 0
-  const streams = [
-    ['foo'],
-    ['bar'],
-    ['foobar']
-  ]
+  chopper.on('error', function (err) {
+    t.equal(err.message, 'stream-chopper cannot split objects')
+    t.end()
+  })
 
-  const chopper = new StreamChopper({ size: 3 })
+  chopper.write({})
+})
 
-  chopper.on('stream', function (stream, next) {
-    const emit = ++emits
-    const chunks = streams.shift()
-    t.ok(chunks, `stream ${emit} should be expected`)
+test('StreamChopper.partitioned() - key function throws', function (t) {
+  const chopper = StreamChopper.partitioned({
+    key () {
+      throw new Error('no key')
+    }
+  })
 
-    stream.on('data', function (chunk) {
-      const expected = chunks.shift()
-      t.ok(expected, `chunk event should be expected on stream ${emit}`)
-      t.equal(chunk.toString(), expected, `should get '${expected}'`)
-      if (emit === 2) {
-        chopper.type = StreamChopper.overflow
-        chopper.write('foobar')
-        chopper.end()
-      }
-    })
-    stream.on('end', function () {
-      t.pass(`stream ${emit} ended`)
-      next()
-      if (emit === 3) t.end()
-    })
+  chopper.on('error', function (err) {
+    t.equal(err.message, 'no key')
+    t.end()
   })
 
-  chopper.write('foobar')
+  chopper.write('hello')
 })
 
-test('change time midflight', function (t) {
-  t.plan(8)
+test('StreamChopper.partitioned() - throw on invalid config', function (t) {
+  t.throws(function () {
+    StreamChopper.partitioned({})
+  }, /requires a key function/)
+  t.throws(function () {
+    StreamChopper.partitioned({ key () {}, spool: { dir: os.tmpdir() } })
+  }, /cannot spool/)
+  t.throws(function () {
+    StreamChopper.partitioned({ key () {}, onOverload: 'drop-newest' })
+  }, /cannot handle overload by drop-newest/)
+  t.end()
+})
 
-  let start
-  let emits = 0
-  const streams = [
-    ['foo'],
-    ['bar']
-  ]
+test('StreamChopper.ndjson()', function (t) {
+  const chopper = StreamChopper.ndjson({ size: 20 })
 
-  const chopper = new StreamChopper({ time: 200 })
+  chopper.on('stream', assertData(t, [
+    '{"a":1}\n{"b":2}\n',
+    '{"c":"hello"}\n'
+  ]))
 
-  chopper.on('stream', function (stream, next) {
-    const emit = ++emits
-    const chunks = streams.shift()
-    t.ok(chunks, `stream ${emit} should be expected`)
+  chopper.write({ a: 1 })
+  chopper.write({ b: 2 })
+  chopper.write({ c: 'hello' })
+  chopper.end()
+})
 
-    stream.on('data', function (chunk) {
-      const expected = chunks.shift()
-      t.ok(expected, `chunk event should be expected on stream ${emit}`)
-      t.equal(chunk.toString(), expected, `should get '${expected}'`)
-    })
-    stream.on('end', function () {
-      const diff = Date.now() - start
-      if (emit === 1) {
-        t.ok(diff >= 200 && diff <= 400, `should end the stream witin a window of 200-400ms (was: ${diff})`)
-        chopper.time = 500
-        start = Date.now()
-        chopper.write('bar')
-        next()
-      } else {
-        t.ok(diff >= 500 && diff <= 700, `should end the stream witin a window of 500-700ms (was: ${diff})`)
-        clearTimeout(timer)
-        next()
-        chopper.destroy()
-        t.end()
-      }
-    })
-  })
+test('StreamChopper.ndjson() - record exactly filling the stream', function (t) {
+  const chopper = StreamChopper.ndjson({ size: 16 })
 
-  // we need a timer on the event loop so the test doesn't exit too soon
-  const timer = setTimeout(function () {
-    t.fail('took too long')
-  }, 1101)
+  chopper.on('stream', assertData(t, [
+    '{"a":1}\n{"b":2}\n',
+    '{"c":3}\n'
+  ]))
 
-  start = Date.now()
-  chopper.write('foo')
+  chopper.write({ a: 1 })
+  chopper.write({ b: 2 })
+  chopper.end({ c: 3 })
 })
 
-test('#chopper.resetTimer()', function (t) {
-  t.plan(2)
+test('StreamChopper.ndjson() - oversize record gets a stream of its own', function (t) {
+  const chopper = StreamChopper.ndjson({ size: 10 })
 
-  let start
-  const chopper = new StreamChopper({ time: 200 })
+  chopper.on('stream', assertData(t, [
+    '{"a":1}\n',
+    '{"b":"oversize"}\n',
+    '{"c":3}\n'
+  ]))
 
-  chopper.on('stream', function (stream, next) {
-    stream.on('data', function (chunk) {
-      t.equal(chunk.toString(), 'foo', 'stream should get data')
-    })
-    stream.on('end', function () {
-      const diff = Date.now() - start
-      t.ok(diff >= 300 && diff <= 500, `should end the stream witin a window of 300-500ms (was: ${diff})`)
-      clearTimeout(timer)
-      next()
-      chopper.destroy()
-      t.end()
-    })
-  })
+  chopper.write({ a: 1 })
+  chopper.write({ b: 'oversize' })
+  chopper.write({ c: 3 })
+  chopper.end()
+})
 
-  // we need a timer on the event loop so the test doesn't exit too soon
-  const timer = setTimeout(function () {
-    t.fail('took too long')
-  }, 501)
+test('StreamChopper.ndjson() - oversize record as event', function (t) {
+  const chopper = StreamChopper.ndjson({ size: 10, oversize: 'event' })
+  let oversized = 0
 
-  start = Date.now()
-  chopper.write('foo')
+  chopper.on('oversize', function (value, line) {
+    oversized++
+    t.deepEqual(value, { b: 'oversize' })
+    t.equal(line.toString(), '{"b":"oversize"}\n')
+  })
 
-  setTimeout(function () {
-    chopper.resetTimer()
-  }, 100)
+  chopper.on('stream', assertData(t, [
+    '{"a":1}\n',
+    '{"c":3}\n'
+  ]))
+
+  chopper.write({ a: 1 })
+  chopper.write({ b: 'oversize' }, function (err) {
+    t.error(err)
+    t.equal(oversized, 1)
+  })
+  chopper.write({ c: 3 })
+  chopper.end()
 })
 
-test('#chopper.resetTimer() - without an active stream', function (t) {
-  const chopper = new StreamChopper({ time: 200 })
+test('StreamChopper.ndjson() - oversize record as event with header and footer', function (t) {
+  const chopper = StreamChopper.ndjson({ size: 12, header: '#\n', footer: '#\n', oversize: 'event' })
+  const oversized = []
 
-  chopper.on('stream', function (stream, next) {
-    t.fail('should never emit a stream')
+  chopper.on('oversize', function (value) {
+    oversized.push(value)
   })
 
-  setTimeout(function () {
-    chopper.destroy()
-    t.end()
-  }, 400)
-
-  chopper.resetTimer()
+  chopper.on('stream', assertData(t, [
+    '#\n{"a":1}\n#\n'
+  ]))
 
-  t.notOk(chopper._timer)
+  chopper.write({ a: 1 })
+  chopper.write({ a: 10 })
+  chopper.end(function () {
+    t.deepEqual(oversized, [{ a: 10 }])
+  })
 })
 
-test('#chopper.resetTimer(time) - with current time set to 200', function (t) {
-  t.plan(2)
-
-  let start
-  const chopper = new StreamChopper({ time: 200 })
+test('StreamChopper.ndjson() - with transform', function (t) {
+  const chopper = StreamChopper.ndjson({
+    transform () {
+      return zlib.createGzip()
+    }
+  })
 
   chopper.on('stream', function (stream, next) {
-    stream.on('data', function (chunk) {
-      t.equal(chunk.toString(), 'foo', 'stream should get data')
-    })
+    const chunks = []
+    stream.on('data', chunks.push.bind(chunks))
     stream.on('end', function () {
-      const diff = Date.now() - start
-      t.ok(diff >= 500 && diff <= 700, `should end the stream witin a window of 500-700ms (was: ${diff})`)
-      clearTimeout(timer)
+      t.equal(zlib.gunzipSync(Buffer.concat(chunks)).toString(), '"foo"\n["bar"]\n')
       next()
-      chopper.destroy()
       t.end()
     })
   })
 
-  // we need a timer on the event loop so the test doesn't exit too soon
-  const timer = setTimeout(function () {
-    t.fail('took too long')
-  }, 701)
-
-  start = Date.now()
   chopper.write('foo')
-
-  setTimeout(function () {
-    chopper.resetTimer(400)
-  }, 100)
+  chopper.write(['bar'])
+  chopper.end()
 })
 
-test('#chopper.resetTimer(time) - with current time set to -1', function (t) {
-  t.plan(2)
+test('StreamChopper.ndjson() - piped objects', function (t) {
+  const source = new PassThrough({ objectMode: true })
+  const chopper = StreamChopper.ndjson()
 
-  let start
-  const chopper = new StreamChopper({ time: -1 })
+  chopper.on('stream', assertData(t, [
+    '{"a":1}\n{"b":2}\n'
+  ]))
 
-  chopper.on('stream', function (stream, next) {
-    stream.on('data', function (chunk) {
-      t.equal(chunk.toString(), 'foo', 'stream should get data')
-    })
-    stream.on('end', function () {
-      const diff = Date.now() - start
-      t.ok(diff >= 400 && diff <= 600, `should end the stream witin a window of 400-600ms (was: ${diff})`)
-      clearTimeout(timer)
-      next()
-      chopper.destroy()
-      t.end()
-    })
-  })
+  source.pipe(chopper)
+  source.write({ a: 1 })
+  source.end({ b: 2 })
+})
 
-  // we need a timer on the event loop so the test doesn't exit too soon
-  const timer = setTimeout(function () {
-    t.fail('took too long')
-  }, 601)
+test('StreamChopper.ndjson() - value that cannot be serialized', function (t) {
+  const chopper = StreamChopper.ndjson()
 
-  start = Date.now()
-  chopper.write('foo')
-  chopper.resetTimer(400)
-})
+  chopper.on('error', function (err) {
+    t.equal(err.message, 'stream-chopper cannot serialize undefined as JSON')
+    t.end()
+  })
 
-test('#chopper.resetTimer(-1)', function (t) {
-  t.plan(2)
+  chopper.write(undefined)
+})
 
-  let ended = false
-  const chopper = new StreamChopper({ time: 100 })
+test('StreamChopper.ndjson() - write after end', function (t) {
+  const chopper = StreamChopper.ndjson({ size: 1, oversize: 'event' })
 
-  chopper.on('stream', function (stream, next) {
-    stream.on('data', function (chunk) {
-      t.equal(chunk.toString(), 'foo', 'stream should get data')
-    })
-    stream.on('end', function () {
-      ended = true
-    })
+  chopper.on('oversize', function () {
+    t.fail('should not emit oversize after end')
   })
 
-  setTimeout(function () {
-    t.equal(ended, false, 'should successfully have disabled the timer before the stream ended')
-    chopper.destroy()
+  chopper.on('error', function (err) {
+    t.ok(err, 'should emit write after end error')
     t.end()
-  }, 200)
+  })
 
-  chopper.write('foo')
+  chopper.end()
+  chopper.write({ a: 1 })
+})
 
-  setTimeout(function () {
-    chopper.resetTimer(-1)
-  }, 50)
+test('StreamChopper.ndjson() - throw on invalid config', function (t) {
+  t.throws(function () {
+    StreamChopper.ndjson({ oversize: 'truncate' })
+  }, /cannot handle oversize records by truncate/)
+  t.end()
 })
 
 function assertOnStream (t, expectedEmits) {
@@ -1025,3 +3839,58 @@ function assertOnStream (t, expectedEmits) {
     })
   }
 }
+
+function assertChunks (t, streams) {
+  return function (stream, next) {
+    const chunks = streams.shift()
+    const last = streams.length === 0
+    t.ok(chunks)
+
+    stream.on('data', function (chunk) {
+      const expected = chunks.shift()
+      t.ok(expected)
+      t.equal(chunk.toString(), expected, `should receive '${expected}'`)
+    })
+
+    stream.on('end', function () {
+      t.equal(chunks.length, 0, 'should receive all expected chunks')
+      next()
+      if (last) t.end()
+    })
+  }
+}
+
+function tmpdir () {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'stream-chopper-'))
+}
+
+function rmdir (dir) {
+  fs.readdirSync(dir).forEach(function (file) {
+    fs.unlinkSync(path.join(dir, file))
+  })
+  fs.rmdirSync(dir)
+}
+
+function assertData (t, expected) {
+  let emits = 0
+  return function (stream, next) {
+    const emit = ++emits
+    const chunks = []
+    stream.on('data', chunks.push.bind(chunks))
+    stream.on('end', function () {
+      const data = Buffer.concat(chunks).toString()
+      t.equal(data, expected[emit - 1], `stream ${emit} should contain '${data}'`)
+      next()
+      if (emit === expected.length) t.end()
+    })
+  }
+}
+
+function readAll (stream, cb) {
+  const chunks = []
+  stream.on('data', chunks.push.bind(chunks))
+  stream.on('error', cb)
+  stream.on('end', function () {
+    cb(null, Buffer.concat(chunks).toString())
+  })
+}